@@ -59,7 +59,7 @@ check_deps() {
 # 2. Download scripts
 download_scripts() {
   mkdir -p "$INSTALL_DIR"
-  local files=("statusline.mjs" "tmux-panel.sh" "claude-tmux.sh" "session-picker.mjs")
+  local files=("statusline.mjs" "config.mjs" "theme.mjs" "settings.mjs" "notify.mjs" "metrics.mjs" "state.mjs" "checkpoint.mjs" "tmux-panel.sh" "claude-tmux.sh" "session-picker.mjs" "status.mjs" "tui.mjs")
   for f in "${files[@]}"; do
     info "Downloading $f..."
     if curl -fsSL "$BASE_URL/scripts/$f" -o "$INSTALL_DIR/$f"; then
@@ -101,7 +101,41 @@ configure_settings() {
   fi
 }
 
-# 4. Setup shell alias
+# 4. Register hooks: checkpoint (PreToolUse snapshots for the panel's undo stack)
+#    and activity (Notification events: permission prompts, idle)
+# register_hook <event> <matcher|""> <command> <script name identifying previous entries>
+register_hook() {
+  local event="$1" matcher="$2" cmd="$3" script="$4"
+  local current
+  current=$(jq -r --arg ev "$event" --arg cmd "$cmd" '[.hooks[$ev][]?.hooks[]? | select(.command == $cmd)] | length' "$SETTINGS" 2>/dev/null || echo "0")
+  if [[ "$current" != "0" ]]; then
+    info "$event hook already configured, skipping"
+    return
+  fi
+
+  if [[ ! -f "$SETTINGS.bak" ]]; then
+    cp "$SETTINGS" "$SETTINGS.bak"
+  fi
+  # Replace any previous entry for this script (e.g. different node path), keep everything else
+  jq --arg ev "$event" --arg cmd "$cmd" --arg matcher "$matcher" --arg script "$script" '
+    .hooks[$ev] = (
+      [(.hooks[$ev] // [])[]
+        | .hooks = [.hooks[]? | select((.command // "") | contains($script) | not)]
+        | select(.hooks | length > 0)]
+      + [(if $matcher == "" then {} else {"matcher": $matcher} end) + {"hooks": [{"type": "command", "command": $cmd}]}]
+    )' "$SETTINGS" > "$SETTINGS.tmp" && mv "$SETTINGS.tmp" "$SETTINGS"
+  ok "$event hook registered${matcher:+ ($matcher)}"
+}
+
+configure_hooks() {
+  local node_path
+  node_path=$(command -v node)
+  [[ -f "$SETTINGS" ]] || echo '{}' > "$SETTINGS"
+  register_hook "PreToolUse" "Write|Edit|MultiEdit|NotebookEdit" "$node_path $INSTALL_DIR/checkpoint.mjs" "checkpoint.mjs"
+  register_hook "Notification" "" "$node_path $INSTALL_DIR/statusline.mjs --hook" "statusline.mjs --hook"
+}
+
+# 5. Setup shell alias
 setup_alias() {
   local alias_line="alias ct='$INSTALL_DIR/claude-tmux.sh'"
   local comment="# Claude Code tmux HUD"
@@ -156,11 +190,17 @@ main() {
 
   if [[ "$IS_UPDATE" == "false" ]]; then
     configure_settings
+    configure_hooks
     setup_alias
   else
     configure_settings
+    configure_hooks
   fi
 
+  # Runtime state moved to a private per-user dir; drop what older versions left world-readable in /tmp
+  rm -f /tmp/claude-panel-*.json /tmp/claude-panel-*.sock /tmp/claude-panel-*.sock.lock /tmp/claude-git-cache.json 2>/dev/null || true
+  rm -rf /tmp/claude-git-cache /tmp/claude-statusline-cache 2>/dev/null || true
+
   # Clear update check cache so next ct run doesn't show stale notification
   rm -f "$HOME/.claude/.tmux-hud-cache/update-check" "$HOME/.claude/.tmux-hud-cache/update-check.result" 2>/dev/null
 
@@ -176,6 +216,7 @@ main() {
   echo "  ct work            Named session"
   echo "  ct ls              Pick & resume a session"
   echo "  ct last            Continue most recent session"
+  echo "  Ctrl-b u           Undo Claude's last file change"
   echo "  ct --help          Show help"
   echo "  ct --update        Update to latest version"
   echo ""
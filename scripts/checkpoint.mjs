@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// Claude Code checkpoint hook — per-panel undo stack for file edits
+// As a PreToolUse hook (Write/Edit/MultiEdit/NotebookEdit): snapshots the file before Claude changes it.
+// As a command: checkpoint.mjs list | undo | restore <n> | drop <n> | clear  [--panel <id>] [--tmux]
+// No external dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import * as os from 'node:os';
+import { createHash } from 'node:crypto';
+import { execFileSync } from 'node:child_process';
+import { FILE_MODE, privateDir } from './state.mjs';
+
+const HOME = os.homedir();
+const CHECKPOINT_DIR = path.join(HOME, '.claude', '.tmux-hud-cache', 'checkpoints');
+const BLOB_DIR = path.join(CHECKPOINT_DIR, 'blobs');
+const STACK_MAX = 50;                  // entries kept per panel (oldest dropped)
+const FILE_MAX = 2 * 1024 * 1024;      // larger files are not snapshotted
+const FILE_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'NotebookEdit']);
+const LOCK_STALE_MS = 5000;            // a stack lock this old was left by a dead process
+const LOCK_WAIT_MS = 2000;
+
+// Same layout tmux-panel.sh reads: newest entry first
+function stackPath(panelId) {
+  return path.join(CHECKPOINT_DIR, panelId ? `stack-${panelId}.json` : 'stack.json');
+}
+
+function readStack(panelId) {
+  try { const s = JSON.parse(fs.readFileSync(stackPath(panelId), 'utf8')); return Array.isArray(s) ? s : []; } catch { return []; }
+}
+
+function writeStack(panelId, stack) {
+  const fp = stackPath(panelId);
+  privateDir(CHECKPOINT_DIR);
+  fs.writeFileSync(fp + '.tmp', JSON.stringify(stack), { encoding: 'utf8', mode: FILE_MODE });
+  fs.renameSync(fp + '.tmp', fp);
+}
+
+// Serialize read-modify-write of one stack: parallel PreToolUse hooks would otherwise drop each other's entries
+function withStackLock(panelId, fn) {
+  const lock = stackPath(panelId) + '.lock';
+  privateDir(CHECKPOINT_DIR);
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lock, String(process.pid), { flag: 'wx', mode: FILE_MODE });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) { fs.rmSync(lock, { force: true }); continue; }
+      } catch { continue; }   // released meanwhile
+      if (Date.now() > deadline) throw new Error('Checkpoint stack is locked by another process');
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+    }
+  }
+  try { return fn(); } finally { fs.rmSync(lock, { force: true }); }
+}
+
+// Content-addressed snapshots: identical contents share one blob. Private like the files they copy (a .env, keys)
+function saveBlob(buf) {
+  const hash = createHash('sha1').update(buf).digest('hex');
+  const fp = path.join(BLOB_DIR, hash);
+  privateDir(BLOB_DIR);
+  if (!fs.existsSync(fp)) fs.writeFileSync(fp, buf, { mode: FILE_MODE });
+  return hash;
+}
+
+// Remove blobs no longer referenced by any panel's stack
+function collectGarbage() {
+  try {
+    const live = new Set();
+    for (const f of fs.readdirSync(CHECKPOINT_DIR)) {
+      if (!/^stack(-.*)?\.json$/.test(f)) continue;
+      try { for (const e of JSON.parse(fs.readFileSync(path.join(CHECKPOINT_DIR, f), 'utf8'))) if (e.blob) live.add(e.blob); } catch { /* skip */ }
+    }
+    for (const b of fs.readdirSync(BLOB_DIR)) if (!live.has(b)) fs.rmSync(path.join(BLOB_DIR, b), { force: true });
+  } catch { /* ok */ }
+}
+
+// -- Hook --
+async function readStdin() {
+  if (process.stdin.isTTY) return null;
+  const chunks = [];
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  const raw = chunks.join('');
+  return raw.trim() ? JSON.parse(raw) : null;
+}
+
+function snapshot(hook, panelId) {
+  if (!FILE_TOOLS.has(hook.tool_name)) return;
+  const target = hook.tool_input?.file_path ?? hook.tool_input?.notebook_path;
+  if (!target) return;
+  const file = path.resolve(hook.cwd || process.cwd(), target);
+
+  let entry;
+  try {
+    const st = fs.statSync(file);
+    if (!st.isFile() || st.size > FILE_MAX) return;
+    entry = { tool: hook.tool_name, file, timestamp: Math.floor(Date.now() / 1000), is_new: false, blob: saveBlob(fs.readFileSync(file)), mode: st.mode & 0o777 };
+  } catch (e) {
+    if (e.code !== 'ENOENT') return;
+    entry = { tool: hook.tool_name, file, timestamp: Math.floor(Date.now() / 1000), is_new: true };
+  }
+
+  withStackLock(panelId, () => {
+    const stack = readStack(panelId);
+    // A failed edit leaves the file unchanged; don't stack the same state twice
+    const top = stack[0];
+    if (top && top.file === entry.file && top.blob === entry.blob && top.is_new === entry.is_new) return;
+    stack.unshift(entry);
+    writeStack(panelId, stack.slice(0, STACK_MAX));
+    if (stack.length > STACK_MAX) collectGarbage();
+  });
+}
+
+// -- Commands --
+function fmtAgo(ts) {
+  const s = Math.max(0, Math.floor(Date.now() / 1000) - ts);
+  return s < 60 ? `${s}s` : s < 3600 ? `${Math.floor(s / 60)}m` : `${Math.floor(s / 3600)}h`;
+}
+
+function entryAt(stack, n) {
+  const i = parseInt(n, 10) - 1;
+  if (!Number.isInteger(i) || i < 0 || i >= stack.length) throw new Error(stack.length ? `No change #${n} (1-${stack.length})` : 'Nothing to undo');
+  return i;
+}
+
+// Put the file back to its state before change #n; newer entries for that file are superseded
+function restore(panelId, n) {
+  const stack = readStack(panelId);
+  const i = entryAt(stack, n);
+  const e = stack[i];
+  if (e.is_new) {
+    fs.rmSync(e.file, { force: true });
+  } else {
+    const blob = path.join(BLOB_DIR, e.blob);
+    if (!fs.existsSync(blob)) throw new Error(`Snapshot for ${e.file} is missing`);
+    fs.mkdirSync(path.dirname(e.file), { recursive: true });
+    fs.copyFileSync(blob, e.file);
+    if (e.mode) fs.chmodSync(e.file, e.mode);
+  }
+  writeStack(panelId, stack.filter((x, j) => j > i || (j < i && x.file !== e.file)));
+  collectGarbage();
+  return `${e.is_new ? 'Removed new file' : 'Restored'} ${path.basename(e.file)} (before ${e.tool}, ${fmtAgo(e.timestamp)} ago)`;
+}
+
+function drop(panelId, n) {
+  const stack = readStack(panelId);
+  const i = entryAt(stack, n);
+  const [e] = stack.splice(i, 1);
+  writeStack(panelId, stack);
+  collectGarbage();
+  return `Dropped #${n} ${path.basename(e.file)}`;
+}
+
+function list(panelId) {
+  const stack = readStack(panelId);
+  if (!stack.length) return 'No checkpoints';
+  return stack.map((e, i) => `${String(i + 1).padStart(2)}  ${(e.is_new ? '+New' : e.tool).padEnd(12)} ${e.file}  ${fmtAgo(e.timestamp)} ago`).join('\n');
+}
+
+function clear(panelId) {
+  fs.rmSync(stackPath(panelId), { force: true });
+  collectGarbage();
+  return 'Checkpoints cleared';
+}
+
+function parseArgs(argv) {
+  const args = { cmd: null, n: null, panel: process.env.CLAUDE_PANEL_ID || '', tmux: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--panel') args.panel = argv[++i] ?? '';
+    else if (a === '--tmux') args.tmux = true;
+    else if (!args.cmd) args.cmd = a;
+    else if (args.n == null) args.n = a;
+  }
+  return args;
+}
+
+// In tmux key bindings, report via the status line instead of a view-mode pane
+function report(msg, viaTmux) {
+  if (viaTmux) {
+    try { execFileSync('tmux', ['display-message', msg], { stdio: 'ignore', timeout: 2000 }); return; } catch { /* fall through */ }
+  }
+  console.log(msg);
+}
+
+// -- Main --
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.cmd) {
+    // Hook mode: never block the tool call, whatever happens
+    try {
+      const hook = await readStdin();
+      if (hook) snapshot(hook, process.env.CLAUDE_PANEL_ID || '');
+    } catch { /* ok */ }
+    return;
+  }
+  try {
+    switch (args.cmd) {
+      case 'list': report(list(args.panel), false); break;
+      case 'undo': report(withStackLock(args.panel, () => restore(args.panel, args.n ?? 1)), args.tmux); break;
+      case 'restore': report(withStackLock(args.panel, () => restore(args.panel, args.n)), args.tmux); break;
+      case 'drop': report(withStackLock(args.panel, () => drop(args.panel, args.n)), args.tmux); break;
+      case 'clear': report(withStackLock(args.panel, () => clear(args.panel)), args.tmux); break;
+      default:
+        console.error('Usage: checkpoint.mjs [list | undo | restore <n> | drop <n> | clear] [--panel <id>] [--tmux]');
+        process.exitCode = 1;
+    }
+  } catch (err) {
+    report(`[checkpoint] ${err?.message ?? 'Error'}`, args.tmux);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -4,12 +4,15 @@
 #        ct ls [query]       — Pick & resume a session via TUI
 #        ct resume [query]   — Alias for ls
 #        ct last [width]     — Continue most recent session
+#        ct config [dir]     — Show resolved Claude Code settings, MCP servers, hooks, CLAUDE.md
+#        ct status [--watch] — Overview of running sessions (live TUI with --watch)
 #
 # Session isolation: Each tmux session gets its own state file via CLAUDE_PANEL_ID
 #
 # Examples:
 #   ct                           # Default session, 38-col panel
 #   ct work 42                   # Named session, wider panel
+#   ct laptop 0                  # No side panel: HUD in the tmux status bar
 #   ct query-gom                 # Named session for project
 #   ct ls                        # Open session picker TUI
 #   ct ls databricks             # Picker with initial query
@@ -63,6 +66,8 @@ auto_update "$@"
 # Resolve script directory (works with symlinks)
 SCRIPT_DIR="$(cd "$(dirname "$(readlink -f "$0" 2>/dev/null || echo "$0")")" && pwd)"
 PICKER_SCRIPT="$SCRIPT_DIR/session-picker.mjs"
+SETTINGS_SCRIPT="$SCRIPT_DIR/settings.mjs"
+STATUS_SCRIPT="$SCRIPT_DIR/status.mjs"
 RESUME_SESSION_ID=""
 RESUME_PROJECT_PATH=""
 CONTINUE_SESSION=""
@@ -76,12 +81,20 @@ Launch Claude Code in a tmux session with a real-time HUD side panel.
 
 Arguments:
   session-name    Name for the tmux session (default: claude-N)
-  panel-width     Width of the side panel in columns (default: 38)
+  panel-width     Width of the side panel in columns (default: 38); 0 shows the
+                  HUD in tmux's status bar instead of a side panel
 
 Subcommands:
   ls [query]      Open session picker TUI, select to resume
   resume [query]  Alias for ls
   last [width]    Continue most recent session (claude --continue)
+  config [dir]    Show the resolved settings, MCP servers, hooks and CLAUDE.md/rules
+                  for a directory (--json for machine-readable output)
+  status          List running sessions: project, branch, model, context, current
+                  todo, agents (--watch for a live view, Enter switches to one)
+
+Keys:
+  Ctrl-b u        Undo Claude's last file change (checkpoint stack)
 
 Options:
   --help, -h      Show this help message
@@ -92,9 +105,12 @@ Examples:
   ct                      # Auto-named session
   ct work                 # Named "work" session
   ct project 42           # Named session with wider panel
+  ct laptop 0             # No side panel; context, quota and todo in the status bar
   ct ls                   # Pick a session to resume
   ct ls databricks        # Pick with initial search query
   ct last                 # Continue most recent session
+  ct config               # What Claude Code will load in this directory
+  ct status --watch       # Watch all sessions, jump to one
 HELP
     exit 0
     ;;
@@ -128,6 +144,24 @@ HELP
     shift  # remove 'ls'/'resume'
     shift 2>/dev/null || true  # remove query if present
     ;;
+  config)
+    # Resolved configuration view (ct config [dir] [--json])
+    if [[ ! -f "$SETTINGS_SCRIPT" ]]; then
+      echo "Error: settings.mjs not found at $SETTINGS_SCRIPT"
+      exit 1
+    fi
+    shift
+    exec node "$SETTINGS_SCRIPT" "$@"
+    ;;
+  status)
+    # Running sessions overview (ct status [--watch] [--json])
+    if [[ ! -f "$STATUS_SCRIPT" ]]; then
+      echo "Error: status.mjs not found at $STATUS_SCRIPT"
+      exit 1
+    fi
+    shift
+    exec node "$STATUS_SCRIPT" "$@"
+    ;;
   last)
     # Continue most recent session (ct last [width])
     CONTINUE_SESSION="true"
@@ -172,6 +206,8 @@ else
 fi
 
 PANEL_SCRIPT="$SCRIPT_DIR/tmux-panel.sh"
+CHECKPOINT_SCRIPT="$SCRIPT_DIR/checkpoint.mjs"
+STATUSLINE_SCRIPT="$SCRIPT_DIR/statusline.mjs"
 
 # Validate panel script exists
 if [[ ! -x "$PANEL_SCRIPT" ]]; then
@@ -181,7 +217,7 @@ if [[ ! -x "$PANEL_SCRIPT" ]]; then
 fi
 
 # Clean up stale state for this session
-rm -f "/tmp/claude-panel-${SESSION_NAME}.json" 2>/dev/null
+rm -f "$(node "$SCRIPT_DIR/state.mjs" path "$SESSION_NAME")" 2>/dev/null
 
 # If session already exists, attach to it
 if tmux has-session -t "$SESSION_NAME" 2>/dev/null; then
@@ -214,17 +250,32 @@ tmux set-option -t "$SESSION_NAME" set-clipboard off
 tmux bind-key -T copy-mode MouseDragEnd1Pane send-keys -X copy-pipe-and-cancel "pbcopy"
 tmux bind-key -T copy-mode-vi MouseDragEnd1Pane send-keys -X copy-pipe-and-cancel "pbcopy"
 
+# Ctrl-b u: undo Claude's most recent file change in this session (checkpoint stack, see tmux-panel.sh)
+if [[ -f "$CHECKPOINT_SCRIPT" ]]; then
+  NODE_BIN="$(command -v node)"
+  tmux bind-key u confirm-before -p "Undo last Claude change? (y/n)" \
+    "run-shell -b \"'$NODE_BIN' '$CHECKPOINT_SCRIPT' undo --panel '#{session_name}' --tmux\""
+fi
+
 # Set session-level env var for isolation
 tmux set-environment -t "$SESSION_NAME" CLAUDE_PANEL_ID "$SESSION_NAME"
 
-# Split: right pane for dashboard
-tmux split-window -h -l "$PANEL_WIDTH" -t "$SESSION_NAME"
+if [[ "$PANEL_WIDTH" -eq 0 ]]; then
+  # Width 0: no side pane (narrow screens); the HUD goes into this session's status bar instead
+  tmux set-option -t "$SESSION_NAME" status-interval 2
+  tmux set-option -t "$SESSION_NAME" status-right-length 100
+  tmux set-option -t "$SESSION_NAME" status-right \
+    "#('$(command -v node)' '$STATUSLINE_SCRIPT' --tmux --panel '#{session_name}') "
+else
+  # Split: right pane for dashboard
+  tmux split-window -h -l "$PANEL_WIDTH" -t "$SESSION_NAME"
 
-# Right pane (index 1): no scrollback (prevents scroll chaos on HUD)
-tmux set-option -t "$SESSION_NAME:0.1" -p history-limit 0
+  # Right pane (index 1): no scrollback (prevents scroll chaos on HUD)
+  tmux set-option -t "$SESSION_NAME:0.1" -p history-limit 0
 
-# Right pane (index 1): start dashboard with panel ID
-tmux send-keys -t "$SESSION_NAME:0.1" "export CLAUDE_PANEL_ID='$SESSION_NAME' && $PANEL_SCRIPT" Enter
+  # Right pane (index 1): start dashboard with panel ID
+  tmux send-keys -t "$SESSION_NAME:0.1" "export CLAUDE_PANEL_ID='$SESSION_NAME' && $PANEL_SCRIPT" Enter
+fi
 
 # Left pane (index 0): start claude with panel ID; kill session on exit
 tmux send-keys -t "$SESSION_NAME:0.0" "export CLAUDE_PANEL_ID='$SESSION_NAME' CLAUDE_STATUSLINE_QUIET=1 && clear && $CLAUDE_CMD; tmux kill-session -t '$SESSION_NAME' 2>/dev/null" Enter
@@ -0,0 +1,150 @@
+// Claude Code HUD config — ~/.claude/tmux-hud.json, display keys overridable by <project>/.claude/tmux-hud.json
+// Shared by statusline.mjs and status.mjs, so a session is colored by the same thresholds in both.
+// No external dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import * as os from 'node:os';
+import { THEMES, COLOR_DEPTHS } from './theme.mjs';
+
+const HOME = os.homedir();
+
+export const SEGMENT_NAMES = ['identity', 'project', 'env', 'plan', 'tools', 'stats', 'errors', 'files', 'agents', 'todos'];
+export const TMUX_SEGMENT_NAMES = ['activity', 'model', 'context', 'quota', 'todo', 'agents', 'project', 'cost'];
+export const DEFAULT_CONFIG = {
+  segments: [...SEGMENT_NAMES],   // render order; omit a name to disable it
+  thresholds: {
+    context: { warn: 70, critical: 85 },
+    quota: { warn: 75, critical: 90 },
+    autoCompact: 80,              // approx. context % where Claude Code auto-compacts
+  },
+  identity: { barWidth: 10, sparkline: true, compactEstimate: true, compactions: true, forecast: true, cost: true, duration: true },
+  project: { pathDepth: 2, git: true },
+  env: {},
+  plan: { titleLength: 36, stepLength: 40 },
+  tools: { running: 2, completed: 4, targetLength: 20 },
+  stats: { max: 3, slowest: true },
+  errors: { textLength: 80, maxAgeMinutes: 10 },
+  files: { max: 4, pathLength: 24 },
+  agents: { max: 3, descriptionLength: 40 },
+  todos: { textLength: 50 },
+  activity: {
+    permissionAfterSeconds: 120,  // fallback for a missing Notification hook: a tool call this quiet is taken as waiting on a prompt
+    tmuxWindow: true,             // set the @claude_activity window option (for your window-status-format)
+  },
+  notifications: {                // see notify.mjs; each event fires once per session
+    enabled: true,
+    tmux: true, bell: false, desktop: false,   // channels: display-message, BEL on the Claude pane, notify-send
+    context: [70, 85],            // context % thresholds
+    quota: 90,                    // 5h / 7d usage %
+    toolErrors: 3,                // failures of one tool within errorWindowMinutes (0 = off)
+    errorWindowMinutes: 10,
+    agentDone: true, todosDone: true, planApproval: true,
+  },
+  metrics: {                      // see metrics.mjs; both sinks are off by default
+    ndjson: false,                // samples in ~/.claude/.tmux-hud-cache/metrics/<session>.ndjson
+    intervalSeconds: 10,
+    maxBytes: 1048576, keep: 3,   // rotate the NDJSON file at maxBytes, keeping `keep` old generations
+    textfileDir: '',              // node-exporter textfile collector directory ('' = off)
+    staleMinutes: 30,             // remove .prom files of sessions not updated for this long
+  },
+  tmux: {                         // `statusline.mjs --tmux`: segments for tmux's own status bar
+    segments: ['context', 'quota', 'todo'],
+    width: 60,                    // columns; the todo is shortened first, then trailing segments dropped (0 = no limit)
+  },
+  socket: {                       // see state.mjs: live updates for subscribers, in addition to the state file
+    enabled: true,
+    idleMinutes: 30,              // the session's broker exits after this long without updates
+  },
+  pricing: {},                    // see estimateCost in statusline.mjs
+  theme: 'default',               // see THEMES in theme.mjs
+  colorDepth: 'auto',             // auto | none | 16 | 256 | truecolor (auto honors NO_COLOR)
+};
+// Keys a project file may set. The rest (hooks into tmux, notification channels, files written outside the
+// project, the socket) stay user-level so an untrusted checkout can't redirect them.
+const PROJECT_CONFIG_KEYS = ['segments', 'thresholds', ...SEGMENT_NAMES, 'tmux', 'pricing', 'theme', 'colorDepth'];
+const CONFIG_CHOICES = { theme: Object.keys(THEMES), colorDepth: COLOR_DEPTHS };
+const PRICE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Keep only valid entries of `val` (shaped like `def`), reporting every problem to `errors`
+function sanitizeConfig(val, def, where, errors) {
+  if (!isPlainObject(val)) { errors.push(`${where || 'config'}: expected an object`); return {}; }
+  const out = {};
+  for (const [k, v] of Object.entries(val)) {
+    const at = where ? `${where}.${k}` : k;
+    if (!(k in def)) { errors.push(`${at}: unknown key`); continue; }
+    const d = def[k];
+    if (at === 'segments' || at === 'tmux.segments') {
+      const names = at === 'segments' ? SEGMENT_NAMES : TMUX_SEGMENT_NAMES;
+      if (!Array.isArray(v)) { errors.push(`${at}: expected an array of segment names`); continue; }
+      const bad = v.filter(n => !names.includes(n));
+      if (bad.length) { errors.push(`${at}: unknown segment ${bad.map(n => JSON.stringify(n)).join(', ')} (valid: ${names.join(', ')})`); continue; }
+      if (new Set(v).size !== v.length) { errors.push(`${at}: duplicate segment names`); continue; }
+      out[k] = v;
+    } else if (at === 'notifications.context') {
+      if (!Array.isArray(v) || !v.every(n => Number.isFinite(n) && n > 0 && n <= 100)) { errors.push(`${at}: expected an array of percentages (1-100)`); continue; }
+      out[k] = v;
+    } else if (at === 'pricing') {
+      if (!isPlainObject(v)) { errors.push(`${at}: expected an object`); continue; }
+      out[k] = {};
+      for (const [model, p] of Object.entries(v)) {
+        const ok = isPlainObject(p) && Object.entries(p).every(([f, n]) => PRICE_FIELDS.includes(f) && Number.isFinite(n) && n >= 0);
+        if (ok) out[k][model] = p;
+        else errors.push(`${at}.${model}: expected { ${PRICE_FIELDS.join(', ')} } as non-negative numbers`);
+      }
+    } else if (isPlainObject(d)) {
+      out[k] = sanitizeConfig(v, d, at, errors);
+    } else if (typeof d === 'number') {
+      if (!Number.isFinite(v) || v < 0) errors.push(`${at}: expected a non-negative number, got ${JSON.stringify(v)}`);
+      else if ((at.startsWith('thresholds.') || at === 'notifications.quota') && v > 100) errors.push(`${at}: expected a percentage (0-100), got ${v}`);
+      else out[k] = v;
+    } else if (typeof v !== typeof d) {
+      errors.push(`${at}: expected a ${typeof d}, got ${JSON.stringify(v)}`);
+    } else if (CONFIG_CHOICES[at] && !CONFIG_CHOICES[at].includes(v)) {
+      errors.push(`${at}: unknown value ${JSON.stringify(v)} (valid: ${CONFIG_CHOICES[at].join(', ')})`);
+    } else out[k] = v;
+  }
+  return out;
+}
+
+function mergeConfig(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = isPlainObject(v) && isPlainObject(base[k]) && k !== 'pricing' ? mergeConfig(base[k], v) : v;
+  if (isPlainObject(over.pricing)) out.pricing = { ...base.pricing, ...over.pricing };
+  return out;
+}
+
+export function loadHudConfig(cwd) {
+  const errors = [];
+  let config = DEFAULT_CONFIG;
+  const userFile = path.join(HOME, '.claude', 'tmux-hud.json');
+  const files = [userFile];
+  if (cwd) files.push(path.join(cwd, '.claude', 'tmux-hud.json'));
+  for (const fp of files) {
+    if (!fs.existsSync(fp)) continue;
+    const label = fp.startsWith(HOME + '/') ? `~/${fp.slice(HOME.length + 1)}` : fp;
+    let raw;
+    try { raw = JSON.parse(fs.readFileSync(fp, 'utf8')); }
+    catch (e) { errors.push(`${label}: invalid JSON (${e.message})`); continue; }
+    const errs = [];
+    if (fp !== userFile && isPlainObject(raw)) {
+      for (const k of Object.keys(raw)) {
+        if (PROJECT_CONFIG_KEYS.includes(k) || !(k in DEFAULT_CONFIG)) continue;
+        errs.push(`${k}: only allowed in ~/.claude/tmux-hud.json`);
+        delete raw[k];
+      }
+    }
+    config = mergeConfig(config, sanitizeConfig(raw, DEFAULT_CONFIG, '', errs));
+    errors.push(...errs.map(e => `${label}: ${e}`));
+  }
+  for (const k of ['context', 'quota']) {
+    const t = config.thresholds[k];
+    if (t.warn >= t.critical) {
+      errors.push(`thresholds.${k}: warn (${t.warn}) must be below critical (${t.critical}); using defaults`);
+      config = mergeConfig(config, { thresholds: { [k]: DEFAULT_CONFIG.thresholds[k] } });
+    }
+  }
+  return { config, errors };
+}
@@ -0,0 +1,88 @@
+// Claude Code HUD metrics — optional sinks for the per-session samples statusline.mjs produces
+// NDJSON: one sample per line per session, size-rotated. Prometheus: a node-exporter textfile per session.
+// No external dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import * as os from 'node:os';
+import { createHash } from 'node:crypto';
+import { FILE_MODE, privateDir } from './state.mjs';
+
+const sessionFile = key => createHash('sha1').update(key).digest('hex').slice(0, 16);
+
+// Written at most once per interval, judged by the target file's mtime (no extra state file)
+function due(fp, intervalSeconds, now) {
+  try { return now - fs.statSync(fp).mtimeMs >= intervalSeconds * 1000; } catch { return true; }
+}
+
+// session.ndjson -> .1 -> .2 ... -> .<keep> (dropped)
+function rotate(fp, keep) {
+  for (let i = keep; i >= 1; i--) {
+    const from = i === 1 ? fp : `${fp}.${i - 1}`;
+    try {
+      if (i === keep) fs.rmSync(`${fp}.${keep}`, { force: true });
+      fs.renameSync(from, `${fp}.${i}`);
+    } catch { /* missing generation */ }
+  }
+  if (keep < 1) fs.rmSync(fp, { force: true });
+}
+
+function appendNdjson(sample, cfg, dir, now) {
+  const fp = path.join(dir, `${sessionFile(sample.session)}.ndjson`);
+  if (!due(fp, cfg.intervalSeconds, now)) return;
+  privateDir(dir);
+  try { if (fs.statSync(fp).size >= cfg.maxBytes) rotate(fp, cfg.keep); } catch { /* new file */ }
+  fs.appendFileSync(fp, JSON.stringify(sample) + '\n', { encoding: 'utf8', mode: FILE_MODE });
+}
+
+// -- Prometheus text exposition --
+const esc = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelStr = labels => `{${Object.entries(labels).map(([k, v]) => `${k}="${esc(v)}"`).join(',')}}`;
+
+export function promText(sample) {
+  const base = { session: sample.session, project: sample.project, model: sample.model };
+  const out = [];
+  const metric = (name, type, help, rows) => {
+    if (!rows.length) return;
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of rows) out.push(`${name}${labelStr({ ...base, ...labels })} ${value}`);
+  };
+  metric('claude_hud_context_percent', 'gauge', 'Context window used (%).', [[{}, sample.contextPercent]]);
+  metric('claude_hud_context_tokens', 'gauge', 'Tokens in the context window.', [[{}, sample.contextTokens]]);
+  metric('claude_hud_cost_usd', 'gauge', 'Estimated session cost (USD).', sample.cost != null ? [[{}, sample.cost]] : []);
+  metric('claude_hud_quota_percent', 'gauge', 'Plan usage limit used (%), per window.',
+    Object.entries(sample.quota ?? {}).filter(([, v]) => v != null).map(([w, v]) => [{ window: w }, v]));
+  metric('claude_hud_tool_calls_total', 'counter', 'Tool calls this session.', Object.entries(sample.tools).map(([t, s]) => [{ tool: t }, s.calls]));
+  metric('claude_hud_tool_errors_total', 'counter', 'Failed tool calls this session.', Object.entries(sample.tools).map(([t, s]) => [{ tool: t }, s.errors]));
+  metric('claude_hud_agents_running', 'gauge', 'Sub-agents currently running.', [[{}, sample.agentsRunning]]);
+  metric('claude_hud_activity', 'gauge', 'Session activity state (1 = current).',
+    ['working', 'awaiting_permission', 'idle'].map(s => [{ state: s }, sample.activity === s ? 1 : 0]));
+  metric('claude_hud_last_update_timestamp_seconds', 'gauge', 'When this sample was taken.', [[{}, Math.floor(new Date(sample.ts).getTime() / 1000)]]);
+  return out.join('\n') + '\n';
+}
+
+// One file per session (node-exporter reads every *.prom in its directory); files of ended sessions expire
+function writeTextfile(sample, cfg, now) {
+  const dir = cfg.textfileDir.replace(/^~(?=\/|$)/, os.homedir());
+  const fp = path.join(dir, `claude_hud_${sessionFile(sample.session)}.prom`);
+  if (!due(fp, cfg.intervalSeconds, now)) return;
+  fs.writeFileSync(`${fp}.tmp`, promText(sample), 'utf8');   // default mode: node-exporter may run as another user
+  fs.renameSync(`${fp}.tmp`, fp);
+  try {
+    for (const f of fs.readdirSync(dir)) {
+      if (!/^claude_hud_.*\.prom$/.test(f)) continue;
+      const p = path.join(dir, f);
+      if (now - fs.statSync(p).mtimeMs > cfg.staleMinutes * 60000) fs.rmSync(p, { force: true });
+    }
+  } catch { /* ok */ }
+}
+
+/** Feed one sample to the enabled sinks; never throws. */
+export function recordMetrics(sample, cfg, ndjsonDir, now = Date.now()) {
+  if (cfg.ndjson) {
+    try { appendNdjson(sample, cfg, ndjsonDir, now); } catch { /* ok */ }
+  }
+  if (cfg.textfileDir) {
+    try { writeTextfile(sample, cfg, now); } catch { /* ok */ }
+  }
+}
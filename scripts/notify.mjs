@@ -0,0 +1,147 @@
+// Claude Code HUD notifications — fire once per session when the HUD state crosses a line
+// statusline.mjs passes a snapshot on every update; events come from comparing it with the previous one.
+// Delivery: tmux display-message, terminal bell (on the Claude pane), notify-send.
+// No external dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { createHash } from 'node:crypto';
+import { execFileSync, spawn } from 'node:child_process';
+import { FILE_MODE, privateDir } from './state.mjs';
+
+const STATE_MAX = 64;      // per-session state files kept (LRU by mtime)
+const RECENT_MAX = 5;      // fired events kept for the panel
+
+const QUOTA_LABELS = { fiveHour: '5h', sevenDay: '7d' };
+
+/**
+ * Compare two snapshots and return the events that should fire.
+ * Snapshot: { contextPercent, quota: { fiveHour, sevenDay, fiveHourResetAt, sevenDayResetAt },
+ *   agents: [{ id, status, type, description }], todos: [{ status, content }],
+ *   toolErrors: { [tool]: totalErrors }, recentErrors: [{ name, at }], planApprovalId }
+ * `fired` holds dedupe keys and is updated in place (keys are dropped again when a condition clears).
+ */
+export function detectEvents(prev, cur, cfg, fired, now = Date.now()) {
+  const events = [];
+  const emit = (key, level, title, message) => {
+    if (fired[key]) return;
+    fired[key] = now;
+    events.push({ key, level, title, message, at: new Date(now).toISOString() });
+  };
+
+  // Context: only the highest threshold crossed in this step is reported; dropping below (compaction) re-arms it
+  const ctx = cur.contextPercent ?? 0;
+  const crossed = [...cfg.context].sort((a, b) => a - b).filter(t => {
+    if (ctx < t) { delete fired[`context:${t}`]; return false; }
+    return (prev.contextPercent ?? 0) < t;
+  });
+  if (crossed.length) {
+    const top = crossed[crossed.length - 1];
+    for (const t of crossed.slice(0, -1)) fired[`context:${t}`] = now;
+    emit(`context:${top}`, top >= Math.max(...cfg.context) ? 'critical' : 'warn', `Context ${ctx}%`, `Context window passed ${top}%`);
+  }
+
+  // Quota: keyed by reset time so the next window can notify again
+  for (const w of Object.keys(QUOTA_LABELS)) {
+    const pct = cur.quota?.[w];
+    if (pct == null || pct < cfg.quota || (prev.quota?.[w] ?? 0) >= cfg.quota) continue;
+    emit(`quota:${w}:${cur.quota[`${w}ResetAt`] ?? ''}`, pct >= 100 ? 'critical' : 'warn', `${QUOTA_LABELS[w]} quota ${pct}%`, `${QUOTA_LABELS[w]} usage limit is at ${pct}%`);
+  }
+
+  if (cfg.agentDone) {
+    const was = new Map((prev.agents ?? []).map(a => [a.id, a.status]));
+    for (const a of cur.agents ?? []) {
+      if (a.status === 'completed' && was.get(a.id) === 'running')
+        emit(`agent:${a.id}`, 'info', `Agent finished: ${a.type}`, a.description || a.type);
+    }
+  }
+
+  if (cfg.todosDone) {
+    const todos = cur.todos ?? [];
+    const allDone = l => l.length > 0 && l.every(t => t.status === 'completed');
+    if (allDone(todos) && !allDone(prev.todos ?? [])) {
+      const id = createHash('sha1').update(todos.map(t => t.content ?? t.subject ?? '').join('\n')).digest('hex').slice(0, 12);
+      emit(`todos:${id}`, 'info', 'All todos complete', `${todos.length} task${todos.length === 1 ? '' : 's'} done`);
+    }
+  }
+
+  // A tool failing repeatedly: `toolErrors` failures within the window, reported again every further `toolErrors`
+  if (cfg.toolErrors > 0) {
+    const since = now - cfg.errorWindowMinutes * 60000;
+    for (const [name, total] of Object.entries(cur.toolErrors ?? {})) {
+      if (total <= (prev.toolErrors?.[name] ?? 0)) continue;
+      const recent = (cur.recentErrors ?? []).filter(e => e.name === name && new Date(e.at).getTime() >= since).length;
+      if (recent >= cfg.toolErrors)
+        emit(`errors:${name}:${Math.floor(total / cfg.toolErrors)}`, 'warn', `${name} keeps failing`, `${recent} errors in the last ${cfg.errorWindowMinutes}m`);
+    }
+  }
+
+  if (cfg.planApproval && cur.planApprovalId && cur.planApprovalId !== prev.planApprovalId)
+    emit(`plan:${cur.planApprovalId}`, 'warn', 'Plan ready for review', 'Claude is waiting for plan approval');
+
+  return events;
+}
+
+// -- Delivery --
+function spawnQuiet(cmd, args) {
+  try { spawn(cmd, args, { detached: true, stdio: 'ignore' }).on('error', () => { /* not installed */ }).unref(); } catch { /* ok */ }
+}
+
+// BEL on the Claude pane's tty: tmux flags the window and applies the user's bell-action/visual-bell
+function ringBell() {
+  let tty = '/dev/tty';
+  if (process.env.TMUX_PANE) {
+    try { tty = execFileSync('tmux', ['display-message', '-p', '-t', process.env.TMUX_PANE, '#{pane_tty}'], { encoding: 'utf8', timeout: 500, stdio: ['ignore', 'pipe', 'ignore'] }).trim() || tty; } catch { /* ok */ }
+  }
+  try { fs.writeFileSync(tty, '\x07'); } catch { /* no terminal */ }
+}
+
+export function deliver(events, cfg) {
+  if (!events.length) return;
+  if (cfg.tmux && process.env.TMUX) {
+    for (const e of events) {
+      const args = ['display-message', '-d', '5000'];
+      if (process.env.TMUX_PANE) args.push('-t', process.env.TMUX_PANE);
+      spawnQuiet('tmux', [...args, `Claude: ${e.title} — ${e.message}`.replace(/#/g, '##')]);
+    }
+  }
+  if (cfg.bell) ringBell();
+  if (cfg.desktop) {
+    for (const e of events)
+      spawnQuiet('notify-send', ['-a', 'Claude Code', '-u', e.level === 'critical' ? 'critical' : 'normal', e.title, e.message]);
+  }
+}
+
+/**
+ * Detect and deliver events for one session. The first snapshot of a session only seeds the state,
+ * so opening the panel on a long transcript doesn't replay old events.
+ * @returns {Array} recently fired events (newest last), for the panel
+ */
+export function notify(snapshot, cfg, stateDir, sessionKey, now = Date.now()) {
+  const fp = path.join(stateDir, `notify-${createHash('sha1').update(sessionKey).digest('hex').slice(0, 16)}.json`);
+  let state = null;
+  try { state = JSON.parse(fs.readFileSync(fp, 'utf8')); } catch { /* first run */ }
+  const fired = state?.fired ?? {};
+  let recent = state?.recent ?? [];
+  if (state?.prev && cfg.enabled) {
+    const events = detectEvents(state.prev, snapshot, cfg, fired, now);
+    deliver(events, cfg);
+    recent = [...recent, ...events].slice(-RECENT_MAX);
+  }
+  try {
+    privateDir(stateDir);
+    fs.writeFileSync(fp + '.tmp', JSON.stringify({ prev: snapshot, fired, recent }), { encoding: 'utf8', mode: FILE_MODE });
+    fs.renameSync(fp + '.tmp', fp);
+    if (!state) pruneStates(stateDir);
+  } catch { /* ok */ }
+  return recent;
+}
+
+function pruneStates(dir) {
+  try {
+    const files = fs.readdirSync(dir).filter(f => /^notify-.*\.json$/.test(f))
+      .map(f => { const fp = path.join(dir, f); return { fp, mtime: fs.statSync(fp).mtimeMs }; })
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const f of files.slice(STATE_MAX)) fs.rmSync(f.fp, { force: true });
+  } catch { /* ok */ }
+}
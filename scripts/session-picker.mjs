@@ -6,6 +6,9 @@
 import * as fs from 'node:fs';
 import * as path from 'node:path';
 import * as os from 'node:os';
+import { userTheme } from './theme.mjs';
+import { FILE_MODE, privateDir } from './state.mjs';
+import { charW, strW, truncS, padR, fmtTime, openScreen, drawScreen, closeScreen } from './tui.mjs';
 
 const HOME = os.homedir();
 const PROJECTS_DIR = path.join(HOME, '.claude', 'projects');
@@ -14,18 +17,9 @@ const SESSION_CACHE_PATH = path.join(CACHE_DIR, 'session-index-cache.json');
 const SESSION_CACHE_TTL = 30000;
 
 // ── Colors ──────────────────────────────────────────────────
-const RST = '\x1b[0m';
-const BOLD = '\x1b[1m';
-const DIM = '\x1b[2m';
-const RED = '\x1b[31m';
-const GRN = '\x1b[32m';
-const YLW = '\x1b[33m';
-const MAG = '\x1b[35m';
-const CYN = '\x1b[36m';
-const WHT = '\x1b[37m';
-const GRAY = '\x1b[90m';
-const BG_GRAY = '\x1b[48;5;236m';
-const B_CYN = '\x1b[96m';
+// Semantic roles from the shared theme (theme.mjs); honors NO_COLOR and color depth
+const C = userTheme().c;
+const { RST, BOLD } = C;
 
 // ── Session Cache ───────────────────────────────────────────
 function loadSessionCache() {
@@ -39,8 +33,8 @@ function loadSessionCache() {
 
 function saveSessionCache(sessions) {
   try {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-    fs.writeFileSync(SESSION_CACHE_PATH, JSON.stringify({ sessions, timestamp: Date.now() }), 'utf8');
+    privateDir(CACHE_DIR);
+    fs.writeFileSync(SESSION_CACHE_PATH, JSON.stringify({ sessions, timestamp: Date.now() }), { encoding: 'utf8', mode: FILE_MODE });
   } catch { /* ok */ }
 }
 
@@ -263,92 +257,6 @@ function matchEntry(query, s) {
   return { match: best >= 0, score: best };
 }
 
-// ── Time Formatting (agf style: "2m · 02/17") ──────────────
-function fmtTime(ms) {
-  const diff = Date.now() - ms;
-  const mins = Math.floor(diff / 60000);
-  let rel;
-  if (mins < 1) rel = 'now';
-  else if (mins < 60) rel = `${mins}m`;
-  else if (mins < 1440) rel = `${Math.floor(mins / 60)}h`;
-  else if (mins < 10080) rel = `${Math.floor(mins / 1440)}d`;
-  else if (mins < 43800) rel = `${Math.floor(mins / 10080)}w`;
-  else rel = `${Math.floor(mins / 43800)}mo`;
-
-  const d = new Date(ms);
-  const mm = String(d.getMonth() + 1).padStart(2, '0');
-  const dd = String(d.getDate()).padStart(2, '0');
-  return { rel, date: `${mm}/${dd}` };
-}
-
-// ── String Utilities (CJK-aware) ────────────────────────────
-function stripAnsi(s) { return s.replace(/\x1b\[[0-9;]*m/g, ''); }
-
-// Character display width: CJK fullwidth = 2, others = 1, control = 0
-function charW(cp) {
-  if (cp < 32 || (cp >= 0x7f && cp < 0xa0)) return 0;
-  // CJK ranges (East Asian Width: W/F)
-  if (
-    (cp >= 0x1100 && cp <= 0x115f) ||   // Hangul Jamo
-    (cp >= 0x2e80 && cp <= 0x303e) ||   // CJK Radicals, Kangxi, CJK Symbols
-    (cp >= 0x3040 && cp <= 0x33bf) ||   // Hiragana, Katakana, Bopomofo, CJK Compat
-    (cp >= 0x3400 && cp <= 0x4dbf) ||   // CJK Unified Ext A
-    (cp >= 0x4e00 && cp <= 0xa4cf) ||   // CJK Unified, Yi
-    (cp >= 0xa960 && cp <= 0xa97c) ||   // Hangul Jamo Extended-A
-    (cp >= 0xac00 && cp <= 0xd7a3) ||   // Hangul Syllables
-    (cp >= 0xd7b0 && cp <= 0xd7fb) ||   // Hangul Jamo Extended-B
-    (cp >= 0xf900 && cp <= 0xfaff) ||   // CJK Compat Ideographs
-    (cp >= 0xfe30 && cp <= 0xfe6f) ||   // CJK Compat Forms
-    (cp >= 0xff01 && cp <= 0xff60) ||   // Fullwidth Forms
-    (cp >= 0xffe0 && cp <= 0xffe6) ||   // Fullwidth Signs
-    (cp >= 0x20000 && cp <= 0x2fffd) || // CJK Unified Ext B-F
-    (cp >= 0x30000 && cp <= 0x3fffd)    // CJK Unified Ext G+
-  ) return 2;
-  return 1;
-}
-
-// Display width of a plain (no ANSI) string
-function strW(s) {
-  let w = 0;
-  for (const ch of s) w += charW(ch.codePointAt(0));
-  return w;
-}
-
-// Display width of a string that may contain ANSI codes
-function visLen(s) { return strW(stripAnsi(s)); }
-
-// Truncate plain string to fit within maxW display columns
-function truncS(s, maxW) {
-  if (maxW <= 0) return '';
-  // Normalize: collapse newlines/tabs to space
-  const clean = s.replace(/[\r\n\t]+/g, ' ');
-  let w = 0;
-  let i = 0;
-  for (const ch of clean) {
-    const cw = charW(ch.codePointAt(0));
-    if (w + cw > maxW) break;
-    w += cw;
-    i += ch.length;
-  }
-  if (i >= clean.length) return clean;
-  // Need truncation — recalculate to leave room for ".."
-  if (maxW <= 2) return '.'.repeat(maxW);
-  let tw = 0, ti = 0;
-  for (const ch of clean) {
-    const cw = charW(ch.codePointAt(0));
-    if (tw + cw > maxW - 2) break;
-    tw += cw;
-    ti += ch.length;
-  }
-  return clean.slice(0, ti) + '..';
-}
-
-// Right-pad with spaces to fill exactly w display columns
-function padR(s, w) {
-  const vl = visLen(s);
-  return vl < w ? s + ' '.repeat(w - vl) : s;
-}
-
 // Render text with fuzzy match highlights, CJK-aware truncation
 function renderHighlight(text, maxW, positions, baseColor, hlColor) {
   if (!text || maxW <= 0) return '';
@@ -420,22 +328,22 @@ class SessionPicker {
 
     // ── Search bar (line 1) — always visible at top ──
     const labelText = this.query ? `${this.filtered.length}/${this.all.length}` : 'All';
-    const label = `${DIM}[${labelText}]${RST}`;
+    const label = `${C.muted}[${labelText}]${RST}`;
     const labelW = strW(labelText) + 2; // brackets
     if (this.query) {
       const qW = strW(this.query);
       const searchW = 4 + qW + 1; // "  > " + query + "_"
       const gap = Math.max(1, w - searchW - labelW - 1);
-      out.push(`  ${CYN}>${RST} ${this.query}${DIM}_${RST}${' '.repeat(gap)}${label}`);
+      out.push(`  ${C.accent}>${RST} ${this.query}${C.muted}_${RST}${' '.repeat(gap)}${label}`);
     } else {
       const gap = Math.max(1, w - 22 - labelW - 1);
-      out.push(`  ${DIM}> type to search...${RST}${' '.repeat(gap)}${label}`);
+      out.push(`  ${C.muted}> type to search...${RST}${' '.repeat(gap)}${label}`);
     }
     out.push('');
 
     // ── Session list ──
     if (this.filtered.length === 0) {
-      out.push(`  ${DIM}No sessions found${RST}`);
+      out.push(`  ${C.muted}No sessions found${RST}`);
     } else {
       const visible = this.filtered.slice(this.scroll, this.scroll + this.listH);
       for (let i = 0; i < visible.length; i++) {
@@ -449,7 +357,7 @@ class SessionPicker {
     for (let i = 0; i < emptyLines; i++) out.push('');
 
     // ── Preview: recent messages for selected session ──
-    out.push(`  ${DIM}${'─'.repeat(Math.max(1, w - 3))}${RST}`);
+    out.push(`  ${C.muted}${'─'.repeat(Math.max(1, w - 3))}${RST}`);
     const cur = this.filtered[this.cursor];
     const previewLines = this.renderPreview(cur, w, this.previewH);
     for (const pl of previewLines) out.push(pl);
@@ -462,14 +370,14 @@ class SessionPicker {
     const leftW = 2 + strW(posText);
     const rightW = strW(keysText);
     const gap = Math.max(1, w - leftW - rightW - 2);
-    out.push(`  ${DIM}${posText}${RST}${' '.repeat(gap)}${DIM}${keysText}${RST}`);
+    out.push(`  ${C.muted}${posText}${RST}${' '.repeat(gap)}${C.muted}${keysText}${RST}`);
 
     return out.join('\n');
   }
 
   renderRow(s, isCur, w) {
     const usable = w - 1;
-    const ptr = isCur ? `${B_CYN}> ${RST}` : '  ';
+    const ptr = isCur ? `${C.focus}> ${RST}` : '  ';
     const ptrW = 2;
 
     const { rel, date } = fmtTime(s.modified);
@@ -482,10 +390,10 @@ class SessionPicker {
     // Branch or worktree
     const branchMax = 18;
     let branchLabel = '';
-    let branchColor = GRN;
+    let branchColor = C.ok;
     if (s.worktreeName) {
       branchLabel = 'wt:' + truncS(s.worktreeName, branchMax - 3);
-      branchColor = CYN;
+      branchColor = C.accent;
     } else if (s.gitBranch) {
       branchLabel = truncS(s.gitBranch, branchMax);
     }
@@ -500,24 +408,24 @@ class SessionPicker {
 
     // Fuzzy match positions for highlighting
     const q = this.query;
-    const HL = `${YLW}${BOLD}`;
+    const HL = `${C.label}${BOLD}`;
     const projPos = q ? fuzzyMatch(q, projText).positions : [];
     const descPos = q ? fuzzyMatch(q, descText).positions : [];
     const brPos = q && branchLabel ? fuzzyMatch(q, branchLabel).positions : [];
 
     // Project name
     const projFmt = projPos.length > 0
-      ? padR(renderHighlight(projText, projMax, projPos, isCur ? WHT + BOLD : YLW, HL), projMax)
+      ? padR(renderHighlight(projText, projMax, projPos, isCur ? C.text + BOLD : C.label, HL), projMax)
       : isCur
-        ? padR(`${WHT}${BOLD}${truncS(projText, projMax)}${RST}`, projMax)
-        : padR(`${YLW}${truncS(projText, projMax)}${RST}`, projMax);
+        ? padR(`${C.text}${BOLD}${truncS(projText, projMax)}${RST}`, projMax)
+        : padR(`${C.label}${truncS(projText, projMax)}${RST}`, projMax);
 
     // Description
     const descFmt = descPos.length > 0
-      ? padR(renderHighlight(descText, descAvail, descPos, isCur ? WHT : DIM, HL), descAvail)
+      ? padR(renderHighlight(descText, descAvail, descPos, isCur ? C.text : C.muted, HL), descAvail)
       : isCur
-        ? padR(`${WHT}${truncS(descText, descAvail)}${RST}`, descAvail)
-        : padR(`${DIM}${truncS(descText, descAvail)}${RST}`, descAvail);
+        ? padR(`${C.text}${truncS(descText, descAvail)}${RST}`, descAvail)
+        : padR(`${C.muted}${truncS(descText, descAvail)}${RST}`, descAvail);
 
     // Branch / worktree
     let branchFmt = '';
@@ -527,13 +435,13 @@ class SessionPicker {
         : `${branchColor}${branchLabel}${RST}  `;
     }
 
-    const timeFmt = `${DIM}${timePlain}${RST}`;
+    const timeFmt = `${C.muted}${timePlain}${RST}`;
     return `${ptr}${projFmt} ${descFmt}  ${branchFmt}${timeFmt}`;
   }
 
   renderPreview(s, w, maxLines) {
     if (!s || !s.displays || s.displays.length === 0) {
-      return [`  ${DIM}(no messages)${RST}`];
+      return [`  ${C.muted}(no messages)${RST}`];
     }
     const usable = w - 5; // "  > " prefix + margin
     // Show last N messages (most recent conversation)
@@ -545,20 +453,17 @@ class SessionPicker {
       const text = truncS(raw, usable);
       if (i === msgs.length - 1) {
         // Latest message highlighted
-        lines.push(`  ${CYN}>${RST} ${WHT}${text}${RST}`);
+        lines.push(`  ${C.accent}>${RST} ${C.text}${text}${RST}`);
       } else {
-        lines.push(`    ${DIM}${text}${RST}`);
+        lines.push(`    ${C.muted}${text}${RST}`);
       }
     }
-    return lines.length > 0 ? lines : [`  ${DIM}(no messages)${RST}`];
+    return lines.length > 0 ? lines : [`  ${C.muted}(no messages)${RST}`];
   }
 
   // ── Interaction ───────────────────────────────────────────
   async run() {
-    process.stderr.write('\x1b[?1049h\x1b[?25l');
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
-    process.stdin.setEncoding('utf8');
+    openScreen();
 
     const rTarget = process.stderr.isTTY ? process.stderr : process.stdout;
     rTarget.on('resize', () => {
@@ -616,17 +521,11 @@ class SessionPicker {
   }
 
   draw() {
-    // Disable line wrap, clear, move to top-left
-    process.stderr.write('\x1b[?7l\x1b[2J\x1b[H');
-    process.stderr.write(this.render());
-    // Re-enable line wrap
-    process.stderr.write('\x1b[?7h');
+    drawScreen(this.render());
   }
 
   exit() {
-    process.stderr.write('\x1b[?7h\x1b[?25h\x1b[?1049l');
-    process.stdin.setRawMode(false);
-    process.stdin.pause();
+    closeScreen();
   }
 }
 
@@ -636,7 +535,7 @@ async function main() {
   const sessions = scanSessions();
 
   if (sessions.length === 0) {
-    process.stderr.write(`${YLW}No sessions found${RST}\n`);
+    process.stderr.write(`${C.warn}No sessions found${RST}\n`);
     process.exit(1);
   }
 
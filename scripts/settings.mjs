@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Claude Code settings resolver — which settings, MCP servers, hooks, CLAUDE.md and rules apply in a directory
+// Mirrors Claude Code's precedence: user < project < local < managed (later wins).
+// As a library: resolveSettings(cwd). As a command (`ct config`): settings.mjs [dir] [--json]
+// No external dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import * as os from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { userTheme } from './theme.mjs';
+
+const HOME = os.homedir();
+const CLAUDE_DIR = path.join(HOME, '.claude');
+
+// Enterprise-managed files live outside the home directory and can't be overridden
+export function managedDir(platform = process.platform) {
+  if (platform === 'darwin') return '/Library/Application Support/ClaudeCode';
+  if (platform === 'win32') return 'C:\\ProgramData\\ClaudeCode';
+  return '/etc/claude-code';
+}
+
+function readJson(fp) {
+  try { return JSON.parse(fs.readFileSync(fp, 'utf8')); } catch { return null; }
+}
+
+// Settings files in precedence order (lowest first)
+export function settingsFiles(cwd) {
+  const files = [{ scope: 'user', path: path.join(CLAUDE_DIR, 'settings.json') }];
+  if (cwd) {
+    files.push({ scope: 'project', path: path.join(cwd, '.claude', 'settings.json') });
+    files.push({ scope: 'local', path: path.join(cwd, '.claude', 'settings.local.json') });
+  }
+  files.push({ scope: 'managed', path: path.join(managedDir(), 'managed-settings.json') });
+  return files;
+}
+
+// Objects merge key by key, arrays concatenate (permission lists, MCP allow/deny lists), scalars override
+function mergeSettings(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) {
+    if (Array.isArray(v) && Array.isArray(out[k])) out[k] = [...new Set([...out[k], ...v])];
+    else if (v && typeof v === 'object' && !Array.isArray(v) && out[k] && typeof out[k] === 'object' && !Array.isArray(out[k])) out[k] = mergeSettings(out[k], v);
+    else out[k] = v;
+  }
+  return out;
+}
+
+// Hooks from every source run; nothing overrides. event -> { matchers, commands, sources }
+function collectHooks(hooks, source, acc) {
+  if (!hooks || typeof hooks !== 'object') return;
+  for (const [event, groups] of Object.entries(hooks)) {
+    if (!Array.isArray(groups) || !groups.length) continue;
+    const e = acc[event] ??= { matchers: 0, commands: 0, sources: [] };
+    for (const g of groups) {
+      e.matchers++;
+      e.commands += Array.isArray(g?.hooks) ? g.hooks.length : 0;
+    }
+    if (!e.sources.includes(source)) e.sources.push(source);
+  }
+}
+
+// ~/.claude/plugins/installed_plugins.json: v2 maps "name@marketplace" to a list of installs, v1 to a single one
+function installedPlugins() {
+  const raw = readJson(path.join(CLAUDE_DIR, 'plugins', 'installed_plugins.json'));
+  const out = new Map();
+  for (const [id, v] of Object.entries(raw?.plugins ?? {})) {
+    const inst = Array.isArray(v) ? v[v.length - 1] : v;
+    if (inst?.installPath) out.set(id, inst.installPath);
+  }
+  return out;
+}
+
+function pluginMcpServers(dir) {
+  const fromMcpJson = readJson(path.join(dir, '.mcp.json'));
+  const manifest = readJson(path.join(dir, '.claude-plugin', 'plugin.json'));
+  let servers = fromMcpJson ? (fromMcpJson.mcpServers ?? fromMcpJson) : {};
+  if (manifest?.mcpServers) {
+    const m = typeof manifest.mcpServers === 'string' ? readJson(path.resolve(dir, manifest.mcpServers)) : manifest.mcpServers;
+    if (m) servers = { ...servers, ...(m.mcpServers ?? m) };
+  }
+  return { servers: servers && typeof servers === 'object' ? servers : {}, source: fromMcpJson ? path.join(dir, '.mcp.json') : path.join(dir, '.claude-plugin', 'plugin.json') };
+}
+
+function listRules(dir, scope, out) {
+  try {
+    for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fp = path.join(dir, e.name);
+      if (e.isDirectory()) listRules(fp, scope, out);
+      else if (e.isFile() && e.name.endsWith('.md')) out.push({ scope, path: fp });
+    }
+  } catch { /* none */ }
+  return out;
+}
+
+// CLAUDE.md files: managed, user, then every directory from / down to cwd (memory is read recursively upward)
+function listClaudeMd(cwd) {
+  const out = [];
+  const add = (scope, fp) => { if (fs.existsSync(fp)) out.push({ scope, path: fp }); };
+  add('managed', path.join(managedDir(), 'CLAUDE.md'));
+  add('user', path.join(CLAUDE_DIR, 'CLAUDE.md'));
+  if (!cwd) return out;
+  const dirs = [];
+  for (let d = path.resolve(cwd); ; d = path.dirname(d)) {
+    dirs.unshift(d);
+    if (path.dirname(d) === d) break;
+  }
+  for (const d of dirs) {
+    const scope = d === path.resolve(cwd) ? 'project' : 'parent';
+    add(scope, path.join(d, 'CLAUDE.md'));
+    add(scope, path.join(d, '.claude', 'CLAUDE.md'));
+    add('local', path.join(d, 'CLAUDE.local.md'));
+  }
+  return out;
+}
+
+/**
+ * Resolve the effective configuration for a working directory.
+ * @returns {{ files, settings, mcpServers, hooks, hooksDisabled, claudeMd, rules, plugins }}
+ *   mcpServers: [{ name, scope, source, type, disabled? }] — `disabled` holds the reason a server won't load
+ */
+export function resolveSettings(cwd) {
+  const files = settingsFiles(cwd).map(f => ({ ...f, exists: fs.existsSync(f.path) }));
+  let settings = {};
+  const hooks = {};
+  for (const f of files) {
+    const c = f.exists ? readJson(f.path) : null;
+    if (!c) continue;
+    settings = mergeSettings(settings, c);
+    collectHooks(c.hooks, f.scope, hooks);
+  }
+
+  // ~/.claude.json holds user-scope servers and, per project, local-scope servers and .mcp.json approvals
+  const claudeJsonPath = path.join(HOME, '.claude.json');
+  const claudeJson = readJson(claudeJsonPath) ?? {};
+  const proj = (cwd && claudeJson.projects?.[cwd]) || {};
+
+  // Name collisions: local > project > user; managed-mcp.json replaces everything when present
+  const servers = new Map();
+  const addServers = (obj, scope, source) => {
+    for (const [name, def] of Object.entries(obj ?? {})) servers.set(name, { name, scope, source, type: def?.type ?? (def?.url ? 'http' : 'stdio') });
+  };
+  const managedMcpPath = path.join(managedDir(), 'managed-mcp.json');
+  const managedMcp = readJson(managedMcpPath);
+  if (managedMcp?.mcpServers) {
+    addServers(managedMcp.mcpServers, 'managed', managedMcpPath);
+  } else {
+    addServers(claudeJson.mcpServers, 'user', claudeJsonPath);
+    if (cwd) {
+      const mcpJsonPath = path.join(cwd, '.mcp.json');
+      const enabled = new Set([...(settings.enabledMcpjsonServers ?? []), ...(proj.enabledMcpjsonServers ?? [])]);
+      const disabled = new Set([...(settings.disabledMcpjsonServers ?? []), ...(proj.disabledMcpjsonServers ?? [])]);
+      for (const [name, def] of Object.entries(readJson(mcpJsonPath)?.mcpServers ?? {})) {
+        const s = { name, scope: 'project', source: mcpJsonPath, type: def?.type ?? (def?.url ? 'http' : 'stdio') };
+        if (disabled.has(name)) s.disabled = 'disabledMcpjsonServers';
+        else if (!settings.enableAllProjectMcpServers && !enabled.has(name)) s.disabled = 'awaiting approval';
+        servers.set(name, s);
+      }
+    }
+    addServers(proj.mcpServers, 'local', claudeJsonPath);
+  }
+
+  // Enabled plugins contribute MCP servers (tool prefix mcp__plugin_<plugin>_<server>) and hooks
+  const installed = installedPlugins();
+  const plugins = [];
+  for (const [id, on] of Object.entries(settings.enabledPlugins ?? {})) {
+    const dir = installed.get(id) ?? null;
+    plugins.push({ id, enabled: on === true, path: dir });
+    if (on !== true || !dir) continue;
+    const pluginName = id.split('@')[0];
+    const { servers: ps, source } = pluginMcpServers(dir);
+    for (const [name, def] of Object.entries(ps)) {
+      const full = `plugin_${pluginName}_${name}`;
+      servers.set(full, { name: full, scope: 'plugin', source, type: def?.type ?? (def?.url ? 'http' : 'stdio') });
+    }
+    collectHooks(readJson(path.join(dir, 'hooks', 'hooks.json'))?.hooks, 'plugin', hooks);
+  }
+
+  // Toggled off in /mcp, or filtered by managed allow/deny lists
+  const offList = new Set([...(claudeJson.disabledMcpServers ?? []), ...(proj.disabledMcpServers ?? [])]);
+  const denied = new Set((settings.deniedMcpServers ?? []).map(d => d?.serverName).filter(Boolean));
+  const allowed = Array.isArray(settings.allowedMcpServers) ? new Set(settings.allowedMcpServers.map(d => d?.serverName).filter(Boolean)) : null;
+  for (const s of servers.values()) {
+    if (s.disabled) continue;
+    if (denied.has(s.name)) s.disabled = 'deniedMcpServers';
+    else if (allowed && !allowed.has(s.name)) s.disabled = 'not in allowedMcpServers';
+    else if (offList.has(s.name)) s.disabled = 'disabledMcpServers';
+  }
+
+  const rules = listRules(path.join(CLAUDE_DIR, 'rules'), 'user', []);
+  if (cwd) listRules(path.join(cwd, '.claude', 'rules'), 'project', rules);
+
+  return {
+    files, settings,
+    mcpServers: [...servers.values()],
+    hooks, hooksDisabled: settings.disableAllHooks === true,
+    claudeMd: listClaudeMd(cwd),
+    rules, plugins,
+  };
+}
+
+// -- `ct config` --
+function tilde(p) {
+  return p && p.startsWith(HOME + path.sep) ? '~' + p.slice(HOME.length) : p;
+}
+
+function printResolved(r, cwd) {
+  const T = userTheme();
+  const out = [];
+  const h = t => out.push('', T.accent(`${T.c.BOLD}${t}`));
+  const row = (...cols) => out.push(`  ${cols.filter(c => c !== '').join('  ')}`);
+
+  out.push(T.label(`Resolved Claude Code configuration for ${tilde(cwd)}`));
+  h('Settings files (later wins)');
+  for (const f of r.files) row(f.scope.padEnd(8), f.exists ? tilde(f.path) : T.muted(`${tilde(f.path)} (missing)`));
+
+  const active = r.mcpServers.filter(s => !s.disabled);
+  h(`MCP servers (${active.length} active)`);
+  if (!r.mcpServers.length) row(T.muted('none'));
+  for (const s of r.mcpServers) {
+    const name = s.name.padEnd(20);
+    row(s.disabled ? T.muted(name) : T.ok(name), s.scope.padEnd(8), T.muted(s.type.padEnd(5)), tilde(s.source), s.disabled ? T.warn(`disabled: ${s.disabled}`) : '');
+  }
+
+  h(`Hooks${r.hooksDisabled ? ' (disabled by disableAllHooks)' : ''}`);
+  const events = Object.entries(r.hooks);
+  if (!events.length) row(T.muted('none'));
+  for (const [event, e] of events)
+    row(event.padEnd(18), `${e.matchers} matcher${e.matchers === 1 ? '' : 's'}, ${e.commands} command${e.commands === 1 ? '' : 's'}`, T.muted(`[${e.sources.join(', ')}]`));
+
+  h(`CLAUDE.md (${r.claudeMd.length})`);
+  if (!r.claudeMd.length) row(T.muted('none'));
+  for (const m of r.claudeMd) row(m.scope.padEnd(8), tilde(m.path));
+
+  h(`Rules (${r.rules.length})`);
+  if (!r.rules.length) row(T.muted('none'));
+  for (const m of r.rules) row(m.scope.padEnd(8), tilde(m.path));
+
+  if (r.plugins.length) {
+    h('Plugins');
+    for (const p of r.plugins) row(p.enabled ? T.ok('on ') : T.muted('off'), p.id, p.path ? T.muted(tilde(p.path)) : T.warn('not installed'));
+  }
+  console.log(out.join('\n'));
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const cwd = path.resolve(args.find(a => !a.startsWith('--')) ?? process.cwd());
+  const r = resolveSettings(cwd);
+  if (json) console.log(JSON.stringify({ cwd, ...r }, null, 2));
+  else printResolved(r, cwd);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
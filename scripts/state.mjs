@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// Claude Code HUD state protocol — the versioned per-session state statusline.mjs produces, and its live stream
+// State is written to <STATE_DIR>/claude-panel-<id>.json and published to a per-session broker on <STATE_DIR>/claude-panel-<id>.sock,
+// which relays every update to subscribers as NDJSON. The file stays authoritative; the socket is optional.
+// As a command: state.mjs subscribe [panel-id] | validate [file] | path [panel-id] | serve <socket> <state-file> [--idle <minutes>]
+// No external dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import * as os from 'node:os';
+import * as net from 'node:net';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+export const SCHEMA_VERSION = 2;   // bump on breaking changes to the fields below (additions keep the version)
+
+const BROKER_LOCK_MS = 10000;      // one broker start attempt per socket per 10s
+const LINE_MAX = 4 * 1024 * 1024;  // longest accepted message
+const BACKLOG_MAX = 8 * 1024 * 1024;  // unread bytes before a slow subscriber is dropped
+
+// Statusline stdin fields kept in the state; the rest (transcript path, workspace dirs, Claude's own cost) stays out of it
+export const STATE_INPUT_FIELDS = ['session_id', 'cwd', 'model', 'context_window'];
+
+// Documented fields and their types; '?' = may be null or absent
+export const STATE_SCHEMA = {
+  _schema: 'number',
+  session_id: 'string?',
+  cwd: 'string?',
+  model: 'object?',
+  context_window: 'object?',
+  _panel: 'object',
+  '_panel.tools': 'array',
+  '_panel.agents': 'array',
+  '_panel.todos': 'array',
+  '_panel.toolStats': 'object',
+  '_panel.errors': 'array?',
+  '_panel.files': 'array',
+  '_panel.planMode': 'object?',
+  '_panel.compactions': 'array',
+  '_panel.sessionStart': 'string?',
+  '_panel.gitStatus': 'object?',
+  '_panel.configs': 'object',
+  '_panel.mcp': 'object',
+  '_panel.usage': 'object?',
+  '_panel.cost': 'object?',
+  '_panel.duration': 'string',
+  '_panel.contextPercent': 'number',
+  '_panel.contextTrend': 'object?',
+  '_panel.configErrors': 'array',
+  '_panel.notifications': 'array',
+  '_panel.activity': 'object?',
+};
+
+const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+
+/** @returns {string[]} problems found (empty when the state matches the schema) */
+export function validateState(state) {
+  if (typeOf(state) !== 'object') return [`state: expected an object, got ${typeOf(state)}`];
+  if (state._schema !== SCHEMA_VERSION) return [`_schema: expected ${SCHEMA_VERSION}, got ${JSON.stringify(state._schema ?? null)}`];
+  const errors = [];
+  for (const [key, spec] of Object.entries(STATE_SCHEMA)) {
+    const parts = key.split('.');
+    const parent = parts.length > 1 ? state[parts[0]] : state;
+    if (typeOf(parent) !== 'object') continue;
+    const v = parent[parts[parts.length - 1]];
+    const type = spec.replace(/\?$/, '');
+    if (v == null ? !spec.endsWith('?') : typeOf(v) !== type) errors.push(`${key}: expected ${spec}, got ${typeOf(v ?? null)}`);
+  }
+  return errors;
+}
+
+// Runtime files (session state, sockets, transcript and git caches) are private to the user: $XDG_RUNTIME_DIR/claude-hud,
+// or claude-hud-<uid> in the temp dir where there is no runtime dir
+export const STATE_DIR = process.env.XDG_RUNTIME_DIR
+  ? path.join(process.env.XDG_RUNTIME_DIR, 'claude-hud')
+  : path.join(os.tmpdir(), `claude-hud-${process.getuid?.() ?? os.userInfo().username}`);
+export const STATE_FILE_RE = /^claude-panel-(.+)\.json$/;   // panel id = ct's tmux session name
+export const FILE_MODE = 0o600;
+
+let stateDirChecked = false;
+
+/** mkdir -p with mode 0700, tightening a directory an older version left 0755. */
+export function privateDir(dir) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  if (fs.statSync(dir).mode & 0o077) fs.chmodSync(dir, 0o700);
+  return dir;
+}
+
+/** Create STATE_DIR as 0700; throws if someone else owns it (they could read or plant files there). */
+export function ensureStateDir() {
+  if (stateDirChecked) return STATE_DIR;
+  fs.mkdirSync(STATE_DIR, { recursive: true, mode: 0o700 });
+  const st = fs.lstatSync(STATE_DIR);
+  if (!st.isDirectory() || (process.getuid && st.uid !== process.getuid())) throw new Error(`${STATE_DIR}: not a directory owned by this user`);
+  if (st.mode & 0o077) fs.chmodSync(STATE_DIR, 0o700);
+  stateDirChecked = true;
+  return STATE_DIR;
+}
+
+export function statePaths(panelId = process.env.CLAUDE_PANEL_ID || '') {
+  const base = path.join(STATE_DIR, panelId ? `claude-panel-${panelId}` : 'claude-panel-state');
+  return { file: `${base}.json`, socket: `${base}.sock` };
+}
+
+// Split a stream into lines, dropping peers that send oversized ones
+function onLines(conn, fn) {
+  let buf = '';
+  conn.setEncoding('utf8');
+  conn.on('data', chunk => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      if (line.trim()) fn(line);
+    }
+    if (buf.length > LINE_MAX) conn.destroy();
+  });
+}
+
+const send = (conn, msg) => { if (!conn.destroyed) conn.write(JSON.stringify(msg) + '\n'); };
+
+// -- Broker --
+/**
+ * Serve one session's socket. Protocol (one JSON object per line):
+ *   client -> {"type":"subscribe"}            then receives the latest state and every later one
+ *   client -> {"type":"publish","state":{..}} validated, then relayed to subscribers
+ *   broker -> {"type":"state","schema":SCHEMA_VERSION,"seq":n,"state":{..}} | {"type":"error","error":".."}
+ * Exits after `idleMinutes` without a publish.
+ */
+export function serve(socketPath, stateFile, { idleMinutes = 30 } = {}) {
+  let latest = null, seq = 0, idle = null;
+  try {
+    const s = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    if (!validateState(s).length) { latest = s; seq = 1; }
+  } catch { /* no state yet */ }
+  const subscribers = new Set();
+  const update = () => ({ type: 'state', schema: SCHEMA_VERSION, seq, state: latest });
+
+  const shutdown = () => {
+    for (const c of subscribers) c.end();
+    server.close();
+    fs.rmSync(socketPath, { force: true });
+    process.exit(0);
+  };
+  const arm = () => { clearTimeout(idle); idle = setTimeout(shutdown, idleMinutes * 60000); };
+
+  const server = net.createServer(conn => {
+    conn.on('error', () => { /* peer gone */ });
+    conn.on('close', () => subscribers.delete(conn));
+    onLines(conn, line => {
+      let msg;
+      try { msg = JSON.parse(line); } catch { return send(conn, { type: 'error', error: 'invalid JSON' }); }
+      if (msg.type === 'subscribe') {
+        subscribers.add(conn);
+        if (latest) send(conn, update());
+      } else if (msg.type === 'publish') {
+        const errors = validateState(msg.state);
+        if (errors.length) return send(conn, { type: 'error', error: errors[0] });
+        latest = msg.state;
+        seq++;
+        arm();
+        for (const c of subscribers) {
+          if (c.writableLength > BACKLOG_MAX) c.destroy();
+          else send(c, update());
+        }
+      } else send(conn, { type: 'error', error: `unknown message type ${JSON.stringify(msg.type)}` });
+    });
+  });
+
+  server.on('error', err => {
+    if (err.code !== 'EADDRINUSE') process.exit(1);
+    // Leftover socket: hand over to a live broker, otherwise replace it
+    const probe = net.createConnection(socketPath);
+    probe.on('connect', () => { probe.destroy(); process.exit(0); });
+    probe.on('error', () => { fs.rmSync(socketPath, { force: true }); server.listen(socketPath); });
+  });
+  server.listen(socketPath, () => {
+    try { fs.chmodSync(socketPath, 0o600); } catch { /* ok */ }
+    fs.rmSync(socketPath + '.lock', { force: true });
+    arm();
+  });
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+function startBroker(socketPath, stateFile, idleMinutes) {
+  const lock = socketPath + '.lock';
+  try {
+    try {
+      if (Date.now() - fs.statSync(lock).mtimeMs < BROKER_LOCK_MS) return;
+      fs.rmSync(lock, { force: true });
+    } catch { /* no lock */ }
+    fs.writeFileSync(lock, String(process.pid), { flag: 'wx', mode: FILE_MODE });
+    spawn(process.execPath, [fileURLToPath(import.meta.url), 'serve', socketPath, stateFile, '--idle', String(idleMinutes)], { detached: true, stdio: 'ignore' }).unref();
+  } catch { /* ok */ }
+}
+
+/**
+ * Publish one state to the session's broker, starting the broker if nobody is listening
+ * (that update is then only in the state file). Resolves after the write or `timeoutMs`; never rejects.
+ */
+export function publish(socketPath, state, { stateFile, idleMinutes = 30, timeoutMs = 200 } = {}) {
+  return new Promise(resolve => {
+    const conn = net.createConnection(socketPath);
+    conn.setTimeout(timeoutMs, () => conn.destroy());
+    conn.on('connect', () => conn.end(JSON.stringify({ type: 'publish', state }) + '\n'));
+    conn.on('error', err => {
+      if (stateFile && (err.code === 'ENOENT' || err.code === 'ECONNREFUSED')) startBroker(socketPath, stateFile, idleMinutes);
+    });
+    conn.on('close', resolve);
+  });
+}
+
+// -- CLI --
+// `subscribe`: print updates as NDJSON; while no broker is running, poll the state file instead
+async function subscribe(panelId) {
+  const { file, socket } = statePaths(panelId);
+  const out = msg => process.stdout.write(JSON.stringify(msg) + '\n');
+  let seq = 0, mtime = 0;
+  const streamSocket = () => new Promise(resolve => {
+    const conn = net.createConnection(socket);
+    let connected = false;
+    conn.on('connect', () => { connected = true; conn.write(JSON.stringify({ type: 'subscribe' }) + '\n'); });
+    onLines(conn, line => {
+      try {
+        const msg = JSON.parse(line);
+        if (msg.type === 'state') { seq = Math.max(seq, msg.seq); process.stdout.write(line + '\n'); }
+      } catch { /* ok */ }
+    });
+    conn.on('error', () => { /* handled on close */ });
+    conn.on('close', () => resolve(connected));
+  });
+  for (;;) {
+    if (await streamSocket()) continue;
+    try {
+      const st = fs.statSync(file);
+      if (st.mtimeMs !== mtime) {
+        mtime = st.mtimeMs;
+        out({ type: 'state', schema: SCHEMA_VERSION, seq: ++seq, state: JSON.parse(fs.readFileSync(file, 'utf8')) });
+      }
+    } catch { /* not written yet, or mid-rename */ }
+    await new Promise(r => setTimeout(r, 1000));
+  }
+}
+
+function main() {
+  const [cmd, ...args] = process.argv.slice(2);
+  if (cmd === 'serve' && args[0] && args[1]) {
+    const i = args.indexOf('--idle');
+    return serve(args[0], args[1], { idleMinutes: i >= 0 ? Number(args[i + 1]) || 30 : 30 });
+  }
+  if (cmd === 'subscribe') return subscribe(args[0]);
+  if (cmd === 'path') return console.log(statePaths(args[0]).file);   // for the shell scripts
+  if (cmd === 'validate') {
+    const file = args[0] ?? statePaths().file;
+    let state;
+    try { state = JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch (e) { console.error(`${file}: ${e.message}`); process.exitCode = 1; return; }
+    const errors = validateState(state);
+    for (const e of errors) console.error(`${file}: ${e}`);
+    if (!errors.length) console.error(`${file}: valid (schema ${SCHEMA_VERSION})`);
+    process.exitCode = errors.length ? 1 : 0;
+    return;
+  }
+  console.error('usage: state.mjs subscribe [panel-id] | validate [file] | path [panel-id] | serve <socket> <state-file> [--idle <minutes>]');
+  process.exitCode = 2;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Claude Code HUD session overview — every live `ct` session, from the panel state files
+// `ct status` prints a table (--json for scripts); `ct status --watch` is a live TUI where Enter switches
+// the tmux client to the selected session. State files whose tmux session is gone are removed (--no-clean keeps them).
+// Zero npm dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { userTheme } from './theme.mjs';
+import { loadHudConfig } from './config.mjs';
+import { STATE_DIR, STATE_FILE_RE, statePaths } from './state.mjs';
+import { strW, truncS, padR, fmtTime, openScreen, drawScreen, closeScreen } from './tui.mjs';
+
+const STALE_GRACE_MS = 30000;   // a session that is still starting may not be listed by tmux yet
+const REFRESH_MS = 1000;
+
+const T = userTheme();
+const C = T.c;
+const { RST, BOLD } = C;
+
+const ACTIVITY = {
+  working:             { icon: '●', role: 'ok' },
+  awaiting_permission: { icon: '?', role: 'warn' },
+  idle:                { icon: '○', role: 'muted' },
+};
+
+// ── Sessions ────────────────────────────────────────────────
+// Running tmux session names; null when tmux can't be asked (then nothing counts as stale)
+function tmuxSessions() {
+  try {
+    const out = execFileSync('tmux', ['list-sessions', '-F', '#{session_name}'], { encoding: 'utf8', timeout: 2000, stdio: ['ignore', 'pipe', 'pipe'] });
+    return new Set(out.split('\n').filter(Boolean));
+  } catch (e) {
+    return /no server running|error connecting/i.test(String(e.stderr ?? '')) ? new Set() : null;
+  }
+}
+
+function removeState(id) {
+  const { file, socket } = statePaths(id);
+  for (const fp of [file, socket, socket + '.lock']) fs.rmSync(fp, { force: true });
+}
+
+function sessionRow(id, s, mtime) {
+  const p = s._panel ?? {};
+  const todo = (p.todos ?? []).find(t => t.status === 'in_progress');
+  const since = Date.parse(p.activity?.since ?? '') || mtime;
+  return {
+    id,
+    project: s.cwd ? path.basename(s.cwd) : null,
+    cwd: s.cwd ?? null,
+    branch: p.gitStatus?.branch ?? null,
+    model: s.model?.display_name ?? s.model?.id ?? null,
+    contextPercent: p.contextPercent ?? null,
+    todo: todo ? (todo.content ?? todo.subject ?? null) : null,
+    agents: (p.agents ?? []).filter(a => a.status === 'running').map(a => a.type),
+    activity: p.activity?.state ?? null,
+    since: new Date(since).toISOString(),
+    updated: new Date(mtime).toISOString(),
+  };
+}
+
+/** Live sessions sorted by name; stale state files are removed on the way when `clean` is set. */
+export function collectSessions({ clean = true } = {}) {
+  const live = tmuxSessions();
+  let names = [];
+  try { names = fs.readdirSync(STATE_DIR).filter(f => STATE_FILE_RE.test(f)); } catch { /* ok */ }
+  const rows = [];
+  for (const name of names) {
+    const id = name.match(STATE_FILE_RE)[1];
+    if (id === 'state') continue;   // written outside ct (no CLAUDE_PANEL_ID)
+    const fp = path.join(STATE_DIR, name);
+    let st;
+    try { st = fs.statSync(fp); } catch { continue; }
+    if (live && !live.has(id)) {
+      if (clean && Date.now() - st.mtimeMs > STALE_GRACE_MS) removeState(id);
+      continue;
+    }
+    try { rows.push(sessionRow(id, JSON.parse(fs.readFileSync(fp, 'utf8')), st.mtimeMs)); } catch { /* mid-write */ }
+  }
+  return rows.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+// ── Rendering ───────────────────────────────────────────────
+const COLS = { id: 14, project: 16, branch: 16, model: 12 };
+
+// Same user + project config the statusline loads for the session's directory, so the colors agree
+const thresholdsByCwd = new Map();
+function contextThresholds(cwd) {
+  const key = cwd ?? '';
+  if (!thresholdsByCwd.has(key)) thresholdsByCwd.set(key, loadHudConfig(cwd).config.thresholds.context);
+  return thresholdsByCwd.get(key);
+}
+
+function ctxRole(pct, cwd) {
+  if (pct == null) return 'muted';
+  const t = contextThresholds(cwd);
+  return pct >= t.critical ? 'critical' : pct >= t.warn ? 'warn' : 'ok';
+}
+
+function renderHeader(w) {
+  const cols = `  ${padR('', 2)}${padR('SESSION', COLS.id + 1)}${padR('PROJECT', COLS.project + 1)}${padR('BRANCH', COLS.branch + 1)}${padR('MODEL', COLS.model + 1)}${padR('CTX', 5)}${padR('AGE', 5)}DOING`;
+  return `${C.muted}${truncS(cols, w - 1)}${RST}`;
+}
+
+function renderRow(r, w, isCur) {
+  const ptr = isCur ? `${C.focus}> ${RST}` : '  ';
+  const act = ACTIVITY[r.activity] ?? { icon: '·', role: 'muted' };
+  const cell = (text, width, color) => padR(`${color}${truncS(text ?? '-', width)}${RST}`, width) + ' ';
+  const ctx = r.contextPercent == null ? '-' : `${r.contextPercent}%`;
+  const fixed = 2 + 2 + COLS.id + COLS.project + COLS.branch + COLS.model + 4 + 5 + 5;
+  const avail = Math.max(8, w - fixed - 1);
+
+  // Doing: the in-progress todo, then running agents
+  const agents = r.agents.length ? `${r.agents.length} agent${r.agents.length === 1 ? '' : 's'} (${[...new Set(r.agents)].join(', ')})` : '';
+  const todoW = r.todo ? Math.max(0, avail - (agents ? strW(agents) + 3 : 0)) : 0;
+  const todo = r.todo && todoW > 2 ? `${C.text}▸ ${truncS(r.todo, todoW - 2)}${RST}` : '';
+  const doing = [todo, agents && `${C.secondary}${truncS(agents, avail)}${RST}`].filter(Boolean).join(`${C.muted} · ${RST}`);
+
+  return ptr
+    + `${C[act.role]}${act.icon}${RST} `
+    + cell(r.id, COLS.id, isCur ? C.text + BOLD : C.label)
+    + cell(r.project, COLS.project, C.accent)
+    + cell(r.branch, COLS.branch, C.ok)
+    + cell(r.model, COLS.model, C.muted)
+    + padR(`${C[ctxRole(r.contextPercent, r.cwd)]}${ctx}${RST}`, 5)
+    + padR(`${C.muted}${fmtTime(Date.parse(r.since)).rel}${RST}`, 5)
+    + doing;
+}
+
+function printTable(rows) {
+  const w = process.stdout.columns || 120;
+  if (!rows.length) { console.log(`${C.muted}No running ct sessions${RST}`); return; }
+  console.log(renderHeader(w));
+  for (const r of rows) console.log(renderRow(r, w, false));
+}
+
+// ── Watch TUI ───────────────────────────────────────────────
+class StatusView {
+  constructor(clean) {
+    this.clean = clean;
+    this.cursor = 0;
+    this.cols = process.stderr.columns || 120;
+    this.rows = process.stderr.rows || 30;
+    this.refresh();
+  }
+
+  refresh() {
+    const cur = this.sessions?.[this.cursor]?.id;
+    thresholdsByCwd.clear();   // pick up config edits while watching
+    this.sessions = collectSessions({ clean: this.clean });
+    const keep = this.sessions.findIndex(s => s.id === cur);
+    this.cursor = keep >= 0 ? keep : Math.min(this.cursor, Math.max(0, this.sessions.length - 1));
+  }
+
+  render() {
+    const w = this.cols;
+    const out = [`  ${C.accent}${BOLD}Claude sessions${RST}  ${C.muted}${this.sessions.length} running${RST}`, ''];
+    if (!this.sessions.length) out.push(`  ${C.muted}No running ct sessions${RST}`);
+    else {
+      out.push(renderHeader(w));
+      const listH = Math.max(1, this.rows - 5);
+      const scroll = Math.max(0, this.cursor - listH + 1);
+      this.sessions.slice(scroll, scroll + listH).forEach((s, i) => out.push(renderRow(s, w, scroll + i === this.cursor)));
+    }
+    while (out.length < this.rows - 1) out.push('');
+    const keys = '↑↓ nav  enter switch  r refresh  q quit';
+    out.push(`  ${' '.repeat(Math.max(1, w - strW(keys) - 4))}${C.muted}${keys}${RST}`);
+    return out.join('\n');
+  }
+
+  async run() {
+    openScreen();
+    const rTarget = process.stderr.isTTY ? process.stderr : process.stdout;
+    rTarget.on('resize', () => {
+      this.cols = process.stderr.columns || process.stdout.columns || 120;
+      this.rows = process.stderr.rows || process.stdout.rows || 30;
+      drawScreen(this.render());
+    });
+    drawScreen(this.render());
+    const timer = setInterval(() => { this.refresh(); drawScreen(this.render()); }, REFRESH_MS);
+
+    return new Promise((resolve) => {
+      const done = (sel) => { clearInterval(timer); closeScreen(); resolve(sel); };
+      process.stdin.on('data', (key) => {
+        if (key === '\x03' || key === '\x1b' || key === 'q') return done(null);
+        if (key === '\x1b[A' || key === 'k') this.move(-1);
+        else if (key === '\x1b[B' || key === 'j') this.move(1);
+        else if (key === 'r') this.refresh();
+        else if ((key === '\r' || key === '\n') && this.sessions.length) return done(this.sessions[this.cursor]);
+        drawScreen(this.render());
+      });
+    });
+  }
+
+  move(d) {
+    this.cursor = Math.max(0, Math.min(this.sessions.length - 1, this.cursor + d));
+  }
+}
+
+// Inside tmux: move this client to the session; outside: attach to it
+function switchTo(id) {
+  const args = process.env.TMUX ? ['switch-client', '-t', `=${id}`] : ['attach-session', '-t', `=${id}`];
+  return spawnSync('tmux', args, { stdio: 'inherit' }).status ?? 1;
+}
+
+// ── Main ────────────────────────────────────────────────────
+async function main() {
+  const args = process.argv.slice(2);
+  const clean = !args.includes('--no-clean');
+  if (args.includes('--watch')) {
+    if (!process.stdin.isTTY) { process.stderr.write('ct status --watch needs a terminal\n'); process.exit(1); }
+    const sel = await new StatusView(clean).run();
+    process.exit(sel ? switchTo(sel.id) : 0);
+  }
+  const rows = collectSessions({ clean });
+  if (args.includes('--json')) console.log(JSON.stringify(rows, null, 2));
+  else printTable(rows);
+}
+
+main().catch(err => {
+  process.stderr.write(`Error: ${err.message}\n`);
+  process.exit(1);
+});
@@ -1,62 +1,64 @@
 #!/usr/bin/env node
 // Claude Code statusline — real-time HUD for tmux side panel
-// Optimized: ~300ms invocation cycle, incremental transcript parsing, git cache
+// Optimized: ~300ms invocation cycle, incremental transcript parsing, background-refreshed git cache
 // No external dependencies. Node.js 18+ required.
 
 import * as fs from 'node:fs';
 import * as path from 'node:path';
 import * as os from 'node:os';
 import * as https from 'node:https';
-import { execFileSync, execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { execFileSync, execFile, spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
 import { promisify } from 'node:util';
+import { createTheme, createTmuxTheme } from './theme.mjs';
+import { TMUX_SEGMENT_NAMES, DEFAULT_CONFIG, loadHudConfig } from './config.mjs';
+import { resolveSettings } from './settings.mjs';
+import { notify } from './notify.mjs';
+import { recordMetrics } from './metrics.mjs';
+import { SCHEMA_VERSION, STATE_DIR, STATE_INPUT_FIELDS, FILE_MODE, ensureStateDir, privateDir, statePaths, publish } from './state.mjs';
+import { strW, truncS } from './tui.mjs';
 
 const execFileAsync = promisify(execFile);
 const HOME = os.homedir();
-// Session-isolated state: CLAUDE_PANEL_ID env -> per-session file
+// Session-isolated state: CLAUDE_PANEL_ID env -> per-session file, streamed on a per-session socket (state.mjs)
 const PANEL_ID = process.env.CLAUDE_PANEL_ID || '';
-const STATE_FILE = PANEL_ID ? `/tmp/claude-panel-${PANEL_ID}.json` : '/tmp/claude-panel-state.json';
-const PARSE_CACHE = '/tmp/claude-statusline-cache.json';
+const { file: STATE_FILE, socket: STATE_SOCKET } = statePaths(PANEL_ID);
+// Transcript parse cache: one file per transcript so concurrent sessions don't evict each other
+const PARSE_CACHE_DIR = path.join(STATE_DIR, 'statusline-cache');
+const PARSE_CACHE_MAX = 32;   // keep at most N transcript caches (LRU by mtime)
+const PARSE_CACHE_VERSION = 11; // bump when the cached result shape changes (forces a full re-parse)
 
 // Independent cache directory (no plugin dependency)
 const CACHE_DIR = path.join(HOME, '.claude', '.tmux-hud-cache');
-try { fs.mkdirSync(CACHE_DIR, { recursive: true }); } catch { /* ok */ }
 const USAGE_CACHE_PATH = path.join(CACHE_DIR, 'usage-cache.json');
 const KEYCHAIN_BACKOFF_PATH = path.join(CACHE_DIR, 'keychain-backoff');
+const USAGE_HISTORY_PATH = path.join(CACHE_DIR, 'usage-history.json');
 
-// -- Colors --
-const RST = '\x1b[0m';
-const DIM = '\x1b[2m';
-const RED = '\x1b[31m';
-const GRN = '\x1b[32m';
-const YLW = '\x1b[33m';
-const MAG = '\x1b[35m';
-const CYN = '\x1b[36m';
-const B_BLU = '\x1b[94m';
-const B_MAG = '\x1b[95m';
-
-const green   = t => `${GRN}${t}${RST}`;
-const yellow  = t => `${YLW}${t}${RST}`;
-const red     = t => `${RED}${t}${RST}`;
-const cyan    = t => `${CYN}${t}${RST}`;
-const magenta = t => `${MAG}${t}${RST}`;
-const dim     = t => `${DIM}${t}${RST}`;
-
-const ctxColor   = p => p >= 85 ? RED : p >= 70 ? YLW : GRN;
-const quotaColor = p => p >= 90 ? RED : p >= 75 ? B_MAG : B_BLU;
-
-function coloredBar(pct, w = 10) {
+// -- Clock --
+// Wall time, except during --replay where it follows the replayed transcript's timestamps
+let clock = null;
+const now = () => clock ?? Date.now();
+
+// -- Colors (semantic roles from theme.mjs; re-created in main() from the configured theme) --
+let T = createTheme();
+
+const ctxColor   = p => p >= hud.thresholds.context.critical ? T.c.critical : p >= hud.thresholds.context.warn ? T.c.warn : T.c.ok;
+const quotaColor = p => p >= hud.thresholds.quota.critical ? T.c.critical : p >= hud.thresholds.quota.warn ? T.c.highlight : T.c.info;
+
+function coloredBar(pct, w = hud.identity.barWidth) {
   const f = Math.round((Math.min(100, Math.max(0, pct)) / 100) * w);
   const e = w - f;
   const grad = e >= 2 ? '\u2593\u2592' : e === 1 ? '\u2593' : '';
   const eAdj = Math.max(0, e - grad.length);
-  return `${ctxColor(pct)}${'\u2588'.repeat(f)}${grad}${DIM}${'\u2591'.repeat(eAdj)}${RST}`;
+  return `${ctxColor(pct)}${'\u2588'.repeat(f)}${grad}${T.c.muted}${'\u2591'.repeat(eAdj)}${T.c.RST}`;
 }
 function quotaBar(pct, w = 10) {
   const f = Math.round((Math.min(100, Math.max(0, pct)) / 100) * w);
   const e = w - f;
   const grad = e >= 2 ? '\u2593\u2592' : e === 1 ? '\u2593' : '';
   const eAdj = Math.max(0, e - grad.length);
-  return `${quotaColor(pct)}${'\u2588'.repeat(f)}${grad}${DIM}${'\u2591'.repeat(eAdj)}${RST}`;
+  return `${quotaColor(pct)}${'\u2588'.repeat(f)}${grad}${T.c.muted}${'\u2591'.repeat(eAdj)}${T.c.RST}`;
 }
 function fmtTokens(n) {
   if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
@@ -64,6 +66,10 @@ function fmtTokens(n) {
   return String(n);
 }
 
+// -- HUD Config (see config.mjs) --
+// Effective config; replaced in main() once cwd is known
+let hud = DEFAULT_CONFIG;
+
 // -- Stdin --
 async function readStdin() {
   if (process.stdin.isTTY) return null;
@@ -76,29 +82,110 @@ async function readStdin() {
 
 function getModelName(s) { return s.model?.display_name ?? s.model?.id ?? 'Unknown'; }
 
+// Tokens an API response had in context (everything sent, cached or not)
+function contextSize(u) {
+  return (u?.input_tokens ?? 0) + (u?.cache_creation_input_tokens ?? 0) + (u?.cache_read_input_tokens ?? 0);
+}
+
+function getContextTokens(s) { return contextSize(s.context_window?.current_usage); }
+
 function getContextPercent(s) {
   const n = s.context_window?.used_percentage;
   if (typeof n === 'number' && !Number.isNaN(n)) return Math.min(100, Math.max(0, Math.round(n)));
   const sz = s.context_window?.context_window_size;
   if (!sz || sz <= 0) return 0;
-  const u = s.context_window?.current_usage;
-  const t = (u?.input_tokens ?? 0) + (u?.cache_creation_input_tokens ?? 0) + (u?.cache_read_input_tokens ?? 0);
-  return Math.min(100, Math.round((t / sz) * 100));
+  return Math.min(100, Math.round((getContextTokens(s) / sz) * 100));
+}
+
+// -- Context Trend (per-session time series -> turns/minutes until auto-compact) --
+const CONTEXT_HISTORY_DIR = path.join(CACHE_DIR, 'context-history');
+const CONTEXT_HISTORY_MAX = 60;       // samples kept per session
+const CONTEXT_HISTORY_FILES = 64;     // sessions kept
+const SPARK = '\u2581\u2582\u2583\u2584\u2585\u2586\u2587\u2588';
+
+function getContextTrend(stdin, historyDir = CONTEXT_HISTORY_DIR) {
+  const tokens = getContextTokens(stdin);
+  const size = stdin.context_window?.context_window_size;
+  const key = stdin.session_id || (stdin.transcript_path ? createHash('sha1').update(stdin.transcript_path).digest('hex').slice(0, 16) : null);
+  if (!key || !size || !tokens) return null;
+
+  const fp = path.join(historyDir, `${key.replace(/[^\w.-]/g, '_')}.json`);
+  let hist = [];
+  try { hist = JSON.parse(fs.readFileSync(fp, 'utf8')); } catch { /* first sample */ }
+  const ts = now();
+  const pct = getContextPercent(stdin);
+  const last = hist[hist.length - 1];
+  // One sample per turn: the token count only moves when a new API response lands
+  if (!last || last.tokens !== tokens) {
+    const isNew = hist.length === 0;
+    hist.push({ ts, tokens, pct });
+    hist = hist.slice(-CONTEXT_HISTORY_MAX);
+    try {
+      privateDir(historyDir);
+      fs.writeFileSync(fp, JSON.stringify(hist), { encoding: 'utf8', mode: FILE_MODE });
+    } catch { /* ok */ }
+    if (isNew) pruneCacheDir(historyDir, CONTEXT_HISTORY_FILES);
+  }
+
+  // Growth is measured since the last compaction (a drop in tokens starts a new run)
+  let start = 0;
+  for (let i = 1; i < hist.length; i++) if (hist[i].tokens < hist[i - 1].tokens) start = i;
+  const run = hist.slice(start);
+  const recent = run.slice(-10);
+  const turns = recent.length - 1;
+  const grown = turns > 0 ? recent[recent.length - 1].tokens - recent[0].tokens : 0;
+  const tokensPerTurn = turns > 0 ? Math.round(grown / turns) : null;
+  const mins = turns > 0 ? (recent[recent.length - 1].ts - recent[0].ts) / 60000 : 0;
+
+  const compactAt = hud.thresholds.autoCompact;
+  const remaining = Math.max(0, (compactAt / 100) * size - tokens);
+  const turnsLeft = tokensPerTurn > 0 ? Math.ceil(remaining / tokensPerTurn) : null;
+  const minutesLeft = grown > 0 && mins > 0 ? Math.round(remaining / (grown / mins)) : null;
+  return { samples: run.slice(-12).map(h => h.pct), tokensPerTurn, turnsLeft, minutesLeft, compactAtPercent: compactAt };
+}
+
+function sparkline(vals) {
+  if (!vals || vals.length < 2) return '';
+  return vals.map(v => SPARK[Math.min(7, Math.floor((Math.max(0, v) / 100) * 8))]).join('');
 }
 
 // -- Incremental Transcript Parsing (PERF: only read new bytes) --
-function loadParseCache() {
+function parseCachePath(transcriptPath, cacheDir) {
+  const key = createHash('sha1').update(transcriptPath).digest('hex').slice(0, 16);
+  return path.join(cacheDir, `${key}.json`);
+}
+
+function loadParseCache(transcriptPath, cacheDir) {
   try {
-    if (fs.existsSync(PARSE_CACHE)) return JSON.parse(fs.readFileSync(PARSE_CACHE, 'utf8'));
+    const c = JSON.parse(fs.readFileSync(parseCachePath(transcriptPath, cacheDir), 'utf8'));
+    if (c.path === transcriptPath && c.v === PARSE_CACHE_VERSION) return c;
   } catch { /* ok */ }
   return null;
 }
 
-function saveParseCache(data) {
-  try { fs.writeFileSync(PARSE_CACHE, JSON.stringify(data), 'utf8'); } catch { /* ok */ }
+function saveParseCache(data, cacheDir) {
+  const fp = parseCachePath(data.path, cacheDir);
+  const isNew = !fs.existsSync(fp);
+  try {
+    if (cacheDir === PARSE_CACHE_DIR) ensureStateDir();
+    fs.mkdirSync(cacheDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(fp + '.tmp', JSON.stringify(data), { encoding: 'utf8', mode: FILE_MODE });
+    fs.renameSync(fp + '.tmp', fp);
+  } catch { /* ok */ }
+  if (isNew) pruneCacheDir(cacheDir, PARSE_CACHE_MAX);
+}
+
+// Bound a per-session cache dir: drop the least recently written files beyond `max`
+function pruneCacheDir(dir, max) {
+  try {
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'))
+      .map(f => { const fp = path.join(dir, f); return { fp, mtime: fs.statSync(fp).mtimeMs }; })
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const f of files.slice(max)) fs.rmSync(f.fp, { force: true });
+  } catch { /* ok */ }
 }
 
-function parseTranscript(transcriptPath) {
+function parseTranscript(transcriptPath, cacheDir = PARSE_CACHE_DIR) {
   const empty = { tools: [], agents: [], todos: [], sessionStart: null, planMode: null };
   if (!transcriptPath || !fs.existsSync(transcriptPath)) return empty;
 
@@ -106,22 +193,35 @@ function parseTranscript(transcriptPath) {
   try { stat = fs.statSync(transcriptPath); } catch { return empty; }
   const fileSize = stat.size;
 
-  // Check cache -- if file hasn't grown, reuse cached result
-  const cache = loadParseCache();
-  if (cache && cache.path === transcriptPath && cache.size === fileSize && cache.result) {
+  // Check cache -- if file is untouched, reuse cached result
+  const cache = loadParseCache(transcriptPath, cacheDir);
+  const sameFile = cache && cache.ino === stat.ino;
+  if (sameFile && cache.size === fileSize && cache.mtime === stat.mtimeMs && cache.result) {
     return cache.result;
   }
 
-  // Determine read offset (incremental) or full parse
-  const prevOffset = (cache && cache.path === transcriptPath) ? (cache.size || 0) : 0;
+  // Determine read offset (incremental) or full parse.
+  // Replaced (new inode), truncated or rewritten-in-place files are re-parsed from scratch.
+  const grown = sameFile && fileSize > cache.size && (cache.offset ?? 0) <= fileSize;
+  const prevOffset = grown ? (cache.offset ?? 0) : 0;
+  let offset = prevOffset;
   const toolMap = new Map();
   const agentMap = new Map();
   const taskMap = new Map();       // TaskCreate/TaskUpdate system (modern)
   let latestTodos = [];            // TodoWrite system (legacy fallback)
   let sessionStart = null;
-  let planMode = null;             // { active: boolean, slug: string|null, phase: 'planning'|'implementing' }
+  let planMode = null;             // { active: boolean, slug: string|null, phase: 'planning'|'implementing', since? }
   let slug = null;
   const planToolIds = new Set();   // track EnterPlanMode/ExitPlanMode tool_use IDs
+  const tokenUsage = {};           // model -> { input, output, cacheWrite, cacheRead, turns }
+  let lastUsageMsgId = null;       // one API response spans several entries sharing message.id
+  let toolStats = { byTool: {}, slowest: [] };   // whole-session aggregates (tools[] keeps only the last 20)
+  let errors = [];                 // ring buffer of recent failed tool results, oldest first
+  let lastEntry = null;            // latest main-conversation turn: { type, at, endTurn }
+  let lastActivity = null;         // timestamp of the latest entry of any kind (incl. sub-agent/bash progress)
+  let files = {};                  // absolute path -> { reads, edits, created, deleted, lastAction, lastTouched }
+  let compactions = [];            // oldest first: { at, trigger: 'auto'|'manual'|null, preTokens, postTokens, summarized }
+  let contextTokens = null;        // context size of the latest main-conversation response
 
   // Restore previous state if incremental
   if (prevOffset > 0 && cache?.result) {
@@ -134,6 +234,16 @@ function parseTranscript(transcriptPath) {
     // Restore plan mode state
     planMode = cache.result.planMode || null;
     slug = cache.result._slug || null;
+    for (const id of (cache.result._planToolIds || [])) planToolIds.add(id);
+    Object.assign(tokenUsage, cache.result.tokenUsage || {});
+    lastUsageMsgId = cache.result._lastUsageMsgId || null;
+    if (cache.result.toolStats) toolStats = cache.result.toolStats;
+    errors = cache.result.errors || [];
+    files = cache.result.files || {};
+    lastEntry = cache.result.lastEntry || null;
+    lastActivity = cache.result.lastActivity || null;
+    compactions = cache.result.compactions || [];
+    contextTokens = cache.result._contextTokens ?? null;
   }
 
   try {
@@ -143,14 +253,50 @@ function parseTranscript(transcriptPath) {
     fs.readSync(fd, buf, 0, buf.length, prevOffset);
     fs.closeSync(fd);
 
-    const newContent = buf.toString('utf8');
+    // Only consume complete lines; a half-written trailing entry is re-read next time
+    const lastNl = buf.lastIndexOf(0x0a);
+    offset = prevOffset + lastNl + 1;
+    const newContent = buf.subarray(0, lastNl + 1).toString('utf8');
     for (const line of newContent.split('\n')) {
       if (!line.trim()) continue;
       try {
         const entry = JSON.parse(line);
-        const ts = entry.timestamp ? new Date(entry.timestamp) : new Date();
+        const ts = entry.timestamp ? new Date(entry.timestamp) : new Date(now());
         if (!sessionStart && entry.timestamp) sessionStart = ts;
         if (entry.slug) slug = entry.slug;
+        if (entry.timestamp) lastActivity = ts;
+        if (!entry.isSidechain && (entry.type === 'user' || entry.type === 'assistant')) lastEntry = { type: entry.type, at: ts, endTurn: isEndOfTurn(entry) };
+        if (entry.type === 'assistant' && entry.message?.usage) {
+          const msgId = entry.message.id ?? null;
+          if (!msgId || msgId !== lastUsageMsgId) addTokenUsage(tokenUsage, entry.message.model, entry.message.usage);
+          lastUsageMsgId = msgId;
+          if (!entry.isSidechain) {
+            contextTokens = contextSize(entry.message.usage);
+            const last = compactions[compactions.length - 1];
+            if (last && last.postTokens == null) last.postTokens = contextTokens;
+          }
+        }
+        // Compaction: a compact_boundary system entry, then the summary as a user message (older versions wrote only the summary)
+        if (entry.type === 'system' && entry.subtype === 'compact_boundary') {
+          const meta = entry.compactMetadata ?? {};
+          compactions.push({ at: ts, trigger: meta.trigger ?? null, preTokens: meta.preTokens ?? contextTokens, postTokens: null, summarized: false });
+        } else if (entry.isCompactSummary) {
+          const last = compactions[compactions.length - 1];
+          if (last && !last.summarized) last.summarized = true;
+          else compactions.push({ at: ts, trigger: null, preTokens: contextTokens, postTokens: null, summarized: true });
+        }
+        // Sub-agent stream: progress entries name their Task via parentToolUseID; legacy sidechain entries don't
+        const parentToolId = entry.parentToolUseID ?? entry.parent_tool_use_id;
+        const owner = (parentToolId && agentMap.get(parentToolId)) || (entry.isSidechain ? latestRunningAgent(agentMap) : null);
+        if (owner) {
+          if (entry.data?.agentId) owner.agentId = entry.data.agentId;
+          const inner = entry.data?.message?.message ?? entry.message;
+          const isNewMsg = trackAgentActivity(owner, inner, ts, agentMap);
+          // Not part of the main conversation: its tools belong to the agent. Progress entries are still billed
+          // (sidechain entries were counted above)
+          if (entry.type === 'progress' && isNewMsg && inner?.usage) addTokenUsage(tokenUsage, inner.model, inner.usage);
+          continue;
+        }
         const content = entry.message?.content;
         if (!content || !Array.isArray(content)) continue;
 
@@ -162,9 +308,10 @@ function parseTranscript(transcriptPath) {
             } else if (block.name === 'ExitPlanMode') {
               // Plan submitted for approval; still active until tool_result confirms
               if (!planMode) planMode = { active: true, slug, phase: 'planning' };  // infer plan mode if not seen EnterPlanMode
+              planMode.awaitingApproval = block.id;
               planToolIds.add(block.id);
             } else if (block.name === 'Task') {
-              agentMap.set(block.id, { id: block.id, type: block.input?.subagent_type ?? 'unknown', model: block.input?.model, description: block.input?.description, status: 'running', startTime: ts });
+              agentMap.set(block.id, newAgent(block, ts, null));
             } else if (block.name === 'TodoWrite') {
               if (block.input?.todos && Array.isArray(block.input.todos)) latestTodos = [...block.input.todos];
             } else if (block.name === 'TaskCreate') {
@@ -181,35 +328,46 @@ function parseTranscript(transcriptPath) {
               }
             } else {
               const target = extractTarget(block.name, block.input);
-              toolMap.set(block.id, { id: block.id, name: block.name, target, status: 'running', startTime: ts });
+              const tool = { id: block.id, name: block.name, target, status: 'running', startTime: ts };
+              if (FILE_ACTIONS[block.name] && target) tool.file = path.resolve(entry.cwd || '/', target);
+              if (block.name === 'Bash') { const rm = parseRmTargets(block.input?.command, entry.cwd); if (rm.length) tool.deletes = rm; }
+              toolMap.set(block.id, tool);
+              (toolStats.byTool[block.name] ??= { calls: 0, errors: 0, completed: 0, totalMs: 0, maxMs: 0 }).calls++;
             }
           }
           if (block.type === 'tool_result' && block.tool_use_id) {
             // Plan mode state transitions
             if (planToolIds.has(block.tool_use_id)) {
+              if (planMode?.awaitingApproval === block.tool_use_id) planMode.awaitingApproval = null;
               if (!block.is_error) {
                 // EnterPlanMode approved → already set active
                 // ExitPlanMode approved → plan accepted, leaving plan mode
                 if (planMode?.active) {
-                  const resultText = Array.isArray(block.content) ? block.content.map(c => c.text ?? '').join('') : (typeof block.content === 'string' ? block.content : '');
-                  if (!resultText.includes('Entered plan mode')) {
-                    planMode = { active: true, slug, phase: 'implementing' };
+                  if (!resultText(block).includes('Entered plan mode')) {
+                    planMode = { active: true, slug, phase: 'implementing', since: ts };
                   }
                 }
               }
               // ExitPlanMode rejected → stay in plan mode (is_error=true)
             }
             const tool = toolMap.get(block.tool_use_id);
-            if (tool) { tool.status = block.is_error ? 'error' : 'completed'; tool.endTime = ts; }
+            if (tool && tool.status === 'running') {
+              tool.status = block.is_error ? 'error' : 'completed'; tool.endTime = ts;
+              recordToolTiming(toolStats, tool);
+              if (!block.is_error) recordFileTouch(files, tool, resultText(block), ts);
+            }
             const agent = agentMap.get(block.tool_use_id);
-            if (agent) { agent.status = 'completed'; agent.endTime = ts; }
+            if (agent) { agent.status = 'completed'; agent.endTime = ts; agent.current = null; }
+            if (block.is_error && (tool || agent)) {
+              errors.push({ name: tool ? tool.name : 'Task', target: tool ? tool.target : agent.description, text: errorExcerpt(resultText(block)), at: ts });
+              if (errors.length > ERRORS_MAX) errors.shift();
+            }
             // TaskCreate result: extract real task ID and replace pending entry
             const pendingKey = `_pending_${block.tool_use_id}`;
             if (taskMap.has(pendingKey)) {
               const pending = taskMap.get(pendingKey);
               // Parse task ID from result text (e.g. "Task created with id: 3")
-              const content = Array.isArray(block.content) ? block.content.map(c => c.text ?? '').join('') : (typeof block.content === 'string' ? block.content : '');
-              const idMatch = content.match(/id:\s*(\S+)/i);
+              const idMatch = resultText(block).match(/id:\s*(\S+)/i);
               if (idMatch) {
                 const realId = idMatch[1];
                 taskMap.delete(pendingKey);
@@ -230,121 +388,446 @@ function parseTranscript(transcriptPath) {
 
   const result = {
     tools: Array.from(toolMap.values()).slice(-20),
-    agents: Array.from(agentMap.values()).slice(-10),
+    agents: Array.from(agentMap.values()).slice(-AGENTS_MAX),
     todos: mergedTodos,
     _tasks: taskEntries,  // Preserve raw task state for cache restoration
     sessionStart,
     planMode,
+    tokenUsage,
+    toolStats,
+    errors,
+    files,
+    lastEntry,
+    lastActivity,
+    compactions,
     _slug: slug,
+    _planToolIds: [...planToolIds],
+    _lastUsageMsgId: lastUsageMsgId,
+    _contextTokens: contextTokens,
   };
 
   // Save cache with new offset
-  saveParseCache({ path: transcriptPath, size: fileSize, result });
+  saveParseCache({ v: PARSE_CACHE_VERSION, path: transcriptPath, ino: stat.ino, size: fileSize, mtime: stat.mtimeMs, offset, result }, cacheDir);
   return result;
 }
 
+// -- Files Touched --
+const FILE_ACTIONS = { Read: 'read', Write: 'edit', Edit: 'edit', MultiEdit: 'edit', NotebookEdit: 'edit' };
+const FILES_MAX = 500;
+
+// Paths removed by simple `rm`/`git rm` invocations inside a Bash command (globs and variables skipped)
+function parseRmTargets(cmd, cwd) {
+  if (!cmd) return [];
+  const out = [];
+  for (const part of cmd.split(/&&|\|\||;|\n/)) {
+    const words = part.trim().split(/\s+/).map(w => w.replace(/^(['"])(.*)\1$/, '$2'));
+    const args = words[0] === 'rm' ? words.slice(1) : words[0] === 'git' && words[1] === 'rm' ? words.slice(2) : null;
+    if (!args) continue;
+    for (const a of args) if (a && !a.startsWith('-') && !/[*?$`|<>]/.test(a)) out.push(path.resolve(cwd || '/', a));
+  }
+  return out;
+}
+
+function recordFileTouch(files, tool, text, ts) {
+  const touch = (fp, action) => {
+    const f = files[fp] ??= { reads: 0, edits: 0, created: false, deleted: false, lastAction: null, lastTouched: null };
+    if (action === 'read') f.reads++;
+    else if (action === 'delete') f.deleted = true;
+    else { f.edits++; f.deleted = false; if (action === 'create') f.created = true; }
+    f.lastAction = action;
+    f.lastTouched = ts;
+  };
+  if (tool.file) {
+    let action = FILE_ACTIONS[tool.name];
+    if (tool.name === 'Write' && /created successfully/i.test(text)) action = 'create';
+    touch(tool.file, action);
+  }
+  for (const fp of tool.deletes || []) if (files[fp]) touch(fp, 'delete');   // only files this session knows about
+  const keys = Object.keys(files);
+  if (keys.length > FILES_MAX) {
+    keys.sort((a, b) => new Date(files[a].lastTouched) - new Date(files[b].lastTouched));
+    for (const k of keys.slice(0, keys.length - FILES_MAX)) delete files[k];
+  }
+}
+
+// _panel.files: most recently touched first, paths relative to cwd
+function summarizeFiles(files, cwd) {
+  return Object.entries(files || {})
+    .map(([fp, f]) => ({ path: relPath(fp, cwd), ...f }))
+    .sort((a, b) => new Date(b.lastTouched) - new Date(a.lastTouched));
+}
+
+function relPath(fp, cwd) {
+  if (cwd) {
+    const r = path.relative(cwd, fp);
+    if (r && !r.startsWith('..') && !path.isAbsolute(r)) return r;
+  }
+  return fp.startsWith(HOME + '/') ? `~/${fp.slice(HOME.length + 1)}` : fp;
+}
+
+// -- Activity --
+// The turn is over when Claude answers without calling a tool, or the user interrupts
+function isEndOfTurn(entry) {
+  const msg = entry.message;
+  const content = Array.isArray(msg?.content) ? msg.content : [];
+  if (entry.type === 'user') {
+    const text = typeof msg?.content === 'string' ? msg.content : content.find(b => b.type === 'text')?.text ?? '';
+    return text.startsWith('[Request interrupted by user');
+  }
+  if (msg?.stop_reason) return msg.stop_reason === 'end_turn' || msg.stop_reason === 'stop_sequence';
+  return content.some(b => b.type === 'text') && !content.some(b => b.type === 'tool_use');
+}
+
+// -- Sub-agents --
+const AGENTS_MAX = 20;
+
+function newAgent(block, ts, parentId) {
+  return {
+    id: block.id, parentId, type: block.input?.subagent_type ?? 'unknown', model: block.input?.model, description: block.input?.description,
+    status: 'running', startTime: ts, toolCalls: 0, errors: 0, tokens: { input: 0, output: 0 }, current: null, lastActivity: ts, openTools: {},
+  };
+}
+
+function latestRunningAgent(agentMap) {
+  let latest = null;
+  for (const a of agentMap.values()) if (a.status === 'running' && (!latest || new Date(a.startTime) >= new Date(latest.startTime))) latest = a;
+  return latest;
+}
+
+// Attribute one sub-agent message to its agent; nested Task calls become child agents.
+// Returns false when the message was already counted (one API response spans several entries).
+function trackAgentActivity(agent, msg, ts, agentMap) {
+  if (!msg) return false;
+  agent.lastActivity = ts;
+  agent.openTools ??= {};
+  const isNew = !msg.id || msg.id !== agent._lastMsgId;
+  if (msg.usage && isNew) {
+    const u = msg.usage;
+    agent.tokens.input += (u.input_tokens ?? 0) + (u.cache_creation_input_tokens ?? 0) + (u.cache_read_input_tokens ?? 0);
+    agent.tokens.output += u.output_tokens ?? 0;
+  }
+  if (msg.id) agent._lastMsgId = msg.id;
+  for (const block of Array.isArray(msg.content) ? msg.content : []) {
+    if (block.type === 'tool_use' && block.id && block.name) {
+      agent.toolCalls++;
+      agent.openTools[block.id] = { name: block.name, target: extractTarget(block.name, block.input) ?? block.input?.description };
+      if (block.name === 'Task' && !agentMap.has(block.id)) agentMap.set(block.id, newAgent(block, ts, agent.id));
+    } else if (block.type === 'tool_result' && block.tool_use_id) {
+      delete agent.openTools[block.tool_use_id];
+      if (block.is_error) agent.errors++;
+      const child = agentMap.get(block.tool_use_id);
+      if (child && child.parentId === agent.id) { child.status = 'completed'; child.endTime = ts; child.current = null; }
+    }
+  }
+  const open = Object.values(agent.openTools);
+  agent.current = open.length ? open[open.length - 1] : null;
+  return isNew;
+}
+
+// Parents before children, depth-first, in start order
+function agentTree(agents) {
+  const ids = new Set(agents.map(a => a.id));
+  const kids = new Map();
+  for (const a of agents) {
+    const p = a.parentId && ids.has(a.parentId) ? a.parentId : null;
+    if (!kids.has(p)) kids.set(p, []);
+    kids.get(p).push(a);
+  }
+  const out = [];
+  const walk = (p, depth) => { for (const a of kids.get(p) || []) { out.push({ ...a, depth }); walk(a.id, depth + 1); } };
+  walk(null, 0);
+  return out;
+}
+
+const SLOWEST_MAX = 5;
+const ERRORS_MAX = 10;
+const ERROR_EXCERPT_MAX = 240;
+
+function resultText(block) {
+  if (Array.isArray(block.content)) return block.content.map(c => c.text ?? '').join('');
+  return typeof block.content === 'string' ? block.content : '';
+}
+
+// First meaningful lines of an error result, without Claude Code's <tool_use_error> wrapper
+function errorExcerpt(text) {
+  const lines = text.replace(/<\/?tool_use_error>/g, '').split('\n').map(l => l.trim()).filter(Boolean);
+  const out = lines.join(' \u23ce ');
+  return out.length > ERROR_EXCERPT_MAX ? `${out.slice(0, ERROR_EXCERPT_MAX - 3)}...` : out;
+}
+
+function recordToolTiming(stats, tool) {
+  const s = stats.byTool[tool.name] ??= { calls: 1, errors: 0, completed: 0, totalMs: 0, maxMs: 0 };
+  const ms = Math.max(0, tool.endTime.getTime() - new Date(tool.startTime).getTime());
+  s.completed++;
+  if (tool.status === 'error') s.errors++;
+  s.totalMs += ms;
+  s.maxMs = Math.max(s.maxMs, ms);
+  // Slowest calls so far; ties go to the more recent call
+  stats.slowest = [...stats.slowest, { name: tool.name, target: tool.target, ms, at: tool.endTime }]
+    .sort((a, b) => b.ms - a.ms || new Date(b.at) - new Date(a.at)).slice(0, SLOWEST_MAX);
+}
+
+function addTokenUsage(acc, model, u) {
+  if (!model || model === '<synthetic>') return;
+  const m = acc[model] ??= { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, turns: 0 };
+  m.input += u.input_tokens ?? 0;
+  m.output += u.output_tokens ?? 0;
+  m.cacheWrite += u.cache_creation_input_tokens ?? 0;
+  m.cacheRead += u.cache_read_input_tokens ?? 0;
+  m.turns++;
+}
+
 function extractTarget(name, input) {
   if (!input) return undefined;
   switch (name) {
-    case 'Read': case 'Write': case 'Edit': return input.file_path ?? input.path;
+    case 'Read': case 'Write': case 'Edit': case 'MultiEdit': return input.file_path ?? input.path;
+    case 'NotebookEdit': return input.notebook_path;
     case 'Glob': case 'Grep': return input.pattern;
     case 'Bash': { const c = input.command; return c ? c.slice(0, 30) + (c.length > 30 ? '...' : '') : undefined; }
   }
 }
 
 // -- Git (PERF: 3s file-based cache) --
-const GIT_CACHE_PATH = '/tmp/claude-git-cache.json';
+// One cache file per working directory so sessions in different repos don't thrash a shared entry.
+// Stale entries are served immediately while a detached `--refresh-git` process updates them.
+const GIT_CACHE_DIR = path.join(STATE_DIR, 'git-cache');
+const GIT_CACHE_MAX = 32;
 const GIT_CACHE_TTL = 3000;
+const GIT_REFRESH_LOCK_MS = 10000;  // a refresher that hasn't finished by then is presumed dead
+const GIT_TIMEOUT = 1500;
+const GIT_CONFLICTS_MAX = 10;
+const GIT_DIFF_FILES_MAX = 50;
+
+function gitCachePath(cwd) {
+  return path.join(GIT_CACHE_DIR, createHash('sha1').update(cwd).digest('hex').slice(0, 16) + '.json');
+}
 
-function getGitStatusCached(cwd) {
+async function getGitStatus(cwd) {
   if (!cwd) return null;
-  try {
-    if (fs.existsSync(GIT_CACHE_PATH)) {
-      const c = JSON.parse(fs.readFileSync(GIT_CACHE_PATH, 'utf8'));
-      if (c.cwd === cwd && Date.now() - c.ts < GIT_CACHE_TTL) return c.data;
-    }
-  } catch { /* stale */ }
+  const fp = gitCachePath(cwd);
+  let cached = null;
+  try { cached = JSON.parse(fs.readFileSync(fp, 'utf8')); } catch { /* none yet */ }
+  if (cached?.cwd === cwd) {
+    if (Date.now() - cached.ts >= GIT_CACHE_TTL) spawnGitRefresh(cwd);
+    return cached.data;
+  }
+  // First look at this directory: nothing to serve, so collect inline
+  return refreshGitStatus(cwd);
+}
 
-  const data = getGitStatusSync(cwd);
-  try { fs.writeFileSync(GIT_CACHE_PATH, JSON.stringify({ cwd, ts: Date.now(), data }), 'utf8'); } catch { /* ok */ }
+async function refreshGitStatus(cwd) {
+  const data = await collectGitStatus(cwd);
+  try {
+    const fp = gitCachePath(cwd);
+    const isNew = !fs.existsSync(fp);
+    ensureStateDir();
+    fs.mkdirSync(GIT_CACHE_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(fp + '.tmp', JSON.stringify({ cwd, ts: Date.now(), data }), { encoding: 'utf8', mode: FILE_MODE });
+    fs.renameSync(fp + '.tmp', fp);
+    if (isNew) pruneCacheDir(GIT_CACHE_DIR, GIT_CACHE_MAX);
+  } catch { /* ok */ }
   return data;
 }
 
-function getGitStatusSync(cwd) {
+// At most one refresher per directory: the lock file is created exclusively and expires
+function spawnGitRefresh(cwd) {
+  const lock = gitCachePath(cwd) + '.lock';
   try {
-    const branch = execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { cwd, timeout: 800, encoding: 'utf8' }).trim();
-    if (!branch) return null;
-
-    let isDirty = false, fileStats;
     try {
-      const st = execFileSync('git', ['--no-optional-locks', 'status', '--porcelain'], { cwd, timeout: 800, encoding: 'utf8' }).trim();
-      isDirty = st.length > 0;
-      if (isDirty) {
-        const stats = { modified: 0, added: 0, deleted: 0, untracked: 0 };
-        for (const line of st.split('\n').filter(Boolean)) {
-          if (line.startsWith('??')) stats.untracked++;
-          else if (line[0] === 'A') stats.added++;
-          else if (line[0] === 'D' || line[1] === 'D') stats.deleted++;
-          else if ('MRC'.includes(line[0]) || line[1] === 'M') stats.modified++;
-        }
-        fileStats = stats;
-      }
-    } catch { /* clean */ }
+      if (Date.now() - fs.statSync(lock).mtimeMs < GIT_REFRESH_LOCK_MS) return;
+      fs.rmSync(lock, { force: true });
+    } catch { /* no lock */ }
+    fs.writeFileSync(lock, String(process.pid), { flag: 'wx', mode: FILE_MODE });
+    spawn(process.execPath, [fileURLToPath(import.meta.url), '--refresh-git', cwd], { detached: true, stdio: 'ignore' }).unref();
+  } catch { /* ok */ }
+}
+
+// git output, or null on any failure (stderr is captured, never leaked into the statusline)
+async function git(cwd, args) {
+  try { return (await execFileAsync('git', ['--no-optional-locks', ...args], { cwd, timeout: GIT_TIMEOUT, encoding: 'utf8' })).stdout; } catch { return null; }
+}
 
-    let ahead = 0, behind = 0;
+// In-progress operation, from the marker files git leaves in the git dir
+function gitOperation(gitDir) {
+  const has = f => fs.existsSync(path.join(gitDir, f));
+  const step = dir => {
     try {
-      const r = execFileSync('git', ['rev-list', '--left-right', '--count', '@{upstream}...HEAD'], { cwd, timeout: 800, encoding: 'utf8' }).trim();
-      const [b, a] = r.split(/\s+/);
-      behind = parseInt(b, 10) || 0; ahead = parseInt(a, 10) || 0;
-    } catch { /* no upstream */ }
+      const n = parseInt(fs.readFileSync(path.join(gitDir, dir, dir === 'rebase-apply' ? 'next' : 'msgnum'), 'utf8'), 10);
+      const total = parseInt(fs.readFileSync(path.join(gitDir, dir, dir === 'rebase-apply' ? 'last' : 'end'), 'utf8'), 10);
+      return n && total ? { step: n, total } : {};
+    } catch { return {}; }
+  };
+  if (has('rebase-merge')) return { name: 'rebase', ...step('rebase-merge') };
+  if (has('rebase-apply')) return { name: has('rebase-apply/applying') ? 'am' : 'rebase', ...step('rebase-apply') };
+  if (has('MERGE_HEAD')) return { name: 'merge' };
+  if (has('CHERRY_PICK_HEAD')) return { name: 'cherry-pick' };
+  if (has('REVERT_HEAD')) return { name: 'revert' };
+  if (has('BISECT_LOG')) return { name: 'bisect' };
+  return null;
+}
 
-    return { branch, isDirty, ahead, behind, fileStats };
-  } catch { return null; }
+// `git diff --numstat -z`: "add\tdel\tpath\0", or "add\tdel\t\0old\0new\0" for renames; binary files report "-"
+function parseNumstat(out) {
+  const files = new Map();
+  if (!out) return files;
+  const parts = out.split('\0');
+  for (let i = 0; i < parts.length; i++) {
+    const m = parts[i].match(/^(\d+|-)\t(\d+|-)\t(.*)$/s);
+    if (!m) continue;
+    let file = m[3];
+    if (!file) { file = parts[i + 2]; i += 2; }  // rename: take the new path
+    if (!file) continue;
+    files.set(file, m[1] === '-' ? { added: 0, deleted: 0, binary: true } : { added: +m[1], deleted: +m[2] });
+  }
+  return files;
 }
 
-// -- Config Counts (PERF: sync, fast fs reads) --
-function countRulesInDir(dir) {
-  if (!fs.existsSync(dir)) return 0;
-  let n = 0;
-  try {
-    for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
-      if (e.isDirectory()) n += countRulesInDir(path.join(dir, e.name));
-      else if (e.isFile() && e.name.endsWith('.md')) n++;
+// Line counts for the index and the worktree, plus a per-file list (largest changes first)
+function summarizeDiff(staged, unstaged, fileStatus) {
+  const total = m => {
+    let added = 0, deleted = 0;
+    for (const v of m.values()) { added += v.added; deleted += v.deleted; }
+    return { added, deleted, files: m.size };
+  };
+  const paths = new Set([...staged.keys(), ...unstaged.keys(), ...fileStatus.keys()]);
+  const files = [...paths].map(p => {
+    const st = staged.get(p), un = unstaged.get(p);
+    const e = { path: p, status: fileStatus.get(p) ?? 'M', added: (st?.added ?? 0) + (un?.added ?? 0), deleted: (st?.deleted ?? 0) + (un?.deleted ?? 0) };
+    if (st) e.staged = st;
+    if (un) e.unstaged = un;
+    if (st?.binary || un?.binary) e.binary = true;
+    return e;
+  }).sort((a, b) => (b.added + b.deleted) - (a.added + a.deleted) || a.path.localeCompare(b.path));
+  const s = total(staged), u = total(unstaged);
+  return { added: s.added + u.added, deleted: s.deleted + u.deleted, staged: s, unstaged: u, files: files.slice(0, GIT_DIFF_FILES_MAX), fileCount: files.length };
+}
+
+async function collectGitStatus(cwd) {
+  // Independent commands run in parallel; only `status` is required
+  const [status, dirs, last, stash, unstagedNum, stagedNum] = await Promise.all([
+    git(cwd, ['status', '--porcelain=v2', '--branch']),
+    git(cwd, ['rev-parse', '--absolute-git-dir', '--git-common-dir', '--show-toplevel']),
+    git(cwd, ['log', '-1', '--format=%ct%x00%s']),
+    git(cwd, ['rev-list', '--walk-reflogs', '--count', 'refs/stash']),
+    git(cwd, ['diff', '--numstat', '-z']),
+    git(cwd, ['diff', '--cached', '--numstat', '-z']),
+  ]);
+  if (status == null) return null;
+
+  let branch = null, oid = null, ahead = 0, behind = 0;
+  const stats = { modified: 0, added: 0, deleted: 0, untracked: 0 };
+  const conflicts = [];
+  const fileStatus = new Map();  // repo-relative path -> git status letter
+  for (const line of status.split('\n')) {
+    if (line.startsWith('# branch.oid ')) oid = line.slice(13);
+    else if (line.startsWith('# branch.head ')) branch = line.slice(14);
+    else if (line.startsWith('# branch.ab ')) {
+      const m = line.match(/\+(\d+) -(\d+)/);
+      if (m) { ahead = +m[1]; behind = +m[2]; }
+    } else if (line.startsWith('? ')) { stats.untracked++; fileStatus.set(line.slice(2), '?'); }
+    else if (line.startsWith('u ')) { const f = line.split(' ').slice(10).join(' '); conflicts.push(f); fileStatus.set(f, 'U'); }
+    else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+      const xy = line.slice(2, 4);
+      const f = line[0] === '1' ? line.split(' ').slice(8).join(' ') : line.split(' ').slice(9).join(' ').split('\t')[0];
+      fileStatus.set(f, xy[0] !== '.' ? xy[0] : xy[1]);
+      if (xy[0] === 'A') stats.added++;
+      else if (xy[0] === 'D' || xy[1] === 'D') stats.deleted++;
+      else stats.modified++;
     }
-  } catch { /* ok */ }
-  return n;
+  }
+  if (!branch) return null;
+
+  const head = { detached: branch === '(detached)', oid: oid && oid !== '(initial)' ? oid.slice(0, 7) : null, tag: null };
+  if (head.detached) {
+    head.tag = (await git(cwd, ['describe', '--tags', '--exact-match', 'HEAD']))?.trim() || null;
+    branch = head.tag ?? head.oid ?? 'HEAD';
+  }
+
+  const [gitDir, commonDir, root] = (dirs ?? '').trim().split('\n');
+  const absCommon = gitDir && commonDir ? path.resolve(cwd, commonDir) : null;
+  const worktree = gitDir && absCommon && gitDir !== absCommon ? { linked: true, name: path.basename(gitDir), mainGitDir: absCommon } : null;
+
+  let lastCommit = null;
+  if (last?.trim()) {
+    const [ct, ...subj] = last.trim().split('\0');
+    lastCommit = { subject: subj.join('\0'), time: new Date(+ct * 1000).toISOString() };
+  }
+
+  const changed = stats.modified + stats.added + stats.deleted + stats.untracked + conflicts.length;
+  return {
+    branch, head, isDirty: changed > 0, ahead, behind,
+    fileStats: changed ? stats : undefined,
+    stashCount: parseInt(stash, 10) || 0,
+    operation: gitDir ? gitOperation(gitDir) : null,
+    conflicts: conflicts.slice(0, GIT_CONFLICTS_MAX), conflictCount: conflicts.length,
+    diff: summarizeDiff(parseNumstat(stagedNum), parseNumstat(unstagedNum), fileStatus),
+    lastCommit, worktree, root: root || null,
+  };
 }
-function getMcpNames(fp) {
-  if (!fs.existsSync(fp)) return new Set();
-  try { const c = JSON.parse(fs.readFileSync(fp, 'utf8')); return c.mcpServers ? new Set(Object.keys(c.mcpServers)) : new Set(); } catch { return new Set(); }
+
+// -- Config Counts (PERF: sync, fast fs reads; resolution rules live in settings.mjs) --
+function countConfigs(cwd) {
+  const r = resolveSettings(cwd);
+  const mcpServers = r.mcpServers.filter(s => !s.disabled).map(({ name, scope, source }) => ({ name, scope, source }));
+  return {
+    claudeMdCount: r.claudeMd.length, rulesCount: r.rules.length, mcpCount: mcpServers.length,
+    hooksCount: r.hooksDisabled ? 0 : Object.values(r.hooks).reduce((n, e) => n + e.commands, 0),
+    mcpNames: mcpServers.map(s => s.name),
+    mcpServers, hooks: r.hooks, hooksDisabled: r.hooksDisabled,
+    claudeMd: r.claudeMd, rules: r.rules,
+  };
 }
-function countHooks(fp) {
-  if (!fs.existsSync(fp)) return 0;
-  try { const c = JSON.parse(fs.readFileSync(fp, 'utf8')); return c.hooks ? Object.keys(c.hooks).length : 0; } catch { return 0; }
+
+// -- Cost Estimation (USD per 1M tokens) --
+// Built-in prices only match the model IDs they were published for (optionally with a date, a Bedrock/Vertex
+// prefix or suffix); a newer model that isn't listed is reported in `unpriced` rather than guessed.
+const DEFAULT_PRICING = [
+  ['claude-opus-4-5',   { input: 5,    output: 25,   cacheWrite: 6.25,  cacheRead: 0.5  }],
+  ['claude-opus-4-1',   { input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.5  }],
+  ['claude-opus-4',     { input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.5  }],
+  ['claude-3-opus',     { input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.5  }],
+  ['claude-sonnet-4-5', { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.3  }],
+  ['claude-sonnet-4',   { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.3  }],
+  ['claude-3-7-sonnet', { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.3  }],
+  ['claude-3-5-sonnet', { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.3  }],
+  ['claude-haiku-4-5',  { input: 1,    output: 5,    cacheWrite: 1.25,  cacheRead: 0.1  }],
+  ['claude-3-5-haiku',  { input: 0.8,  output: 4,    cacheWrite: 1,     cacheRead: 0.08 }],
+  ['claude-3-haiku',    { input: 0.25, output: 1.25, cacheWrite: 0.3,   cacheRead: 0.03 }],
+];
+
+// The ID must not continue with another version number: claude-opus-4 matches claude-opus-4-20250514
+// and claude-opus-4@20250514, but not claude-opus-4-6
+function knownModel(id, pat) {
+  const at = id.indexOf(pat);
+  return at >= 0 && /^(?:$|-\d{8}(?!\d)|[^-\d.])/.test(id.slice(at + pat.length));
 }
 
-function countConfigs(cwd) {
-  const cd = path.join(HOME, '.claude');
-  let claudeMdCount = 0, rulesCount = 0, hooksCount = 0;
-  if (fs.existsSync(path.join(cd, 'CLAUDE.md'))) claudeMdCount++;
-  rulesCount += countRulesInDir(path.join(cd, 'rules'));
-  const userMcp = new Set([...getMcpNames(path.join(cd, 'settings.json')), ...getMcpNames(path.join(HOME, '.claude.json'))]);
-  hooksCount += countHooks(path.join(cd, 'settings.json'));
-  try { const c = JSON.parse(fs.readFileSync(path.join(HOME, '.claude.json'), 'utf8')); if (Array.isArray(c.disabledMcpServers)) c.disabledMcpServers.forEach(n => userMcp.delete(n)); } catch { /* ok */ }
-
-  const projectMcp = new Set();
-  if (cwd) {
-    for (const p of ['CLAUDE.md', 'CLAUDE.local.md', '.claude/CLAUDE.md', '.claude/CLAUDE.local.md'])
-      if (fs.existsSync(path.join(cwd, p))) claudeMdCount++;
-    rulesCount += countRulesInDir(path.join(cwd, '.claude', 'rules'));
-    for (const p of ['.mcp.json', '.claude/settings.json', '.claude/settings.local.json'])
-      for (const n of getMcpNames(path.join(cwd, p))) projectMcp.add(n);
-    hooksCount += countHooks(path.join(cwd, '.claude', 'settings.json'));
-    hooksCount += countHooks(path.join(cwd, '.claude', 'settings.local.json'));
+// User entries are plain substrings of the model ID and win over the built-in table
+function priceFor(model, overrides) {
+  const id = model.toLowerCase();
+  for (const [pat, p] of overrides) if (id.includes(pat.toLowerCase())) return p;
+  for (const [pat, p] of DEFAULT_PRICING) if (knownModel(id, pat)) return p;
+  return null;
+}
+
+// `overrides` is the config's { "<model substring>": { input, output, cacheWrite, cacheRead } }
+function estimateCost(tokenUsage, overrides) {
+  const pricing = Object.entries(overrides || {});
+  const byModel = {};
+  const unpriced = [];
+  let total = 0;
+  for (const [model, u] of Object.entries(tokenUsage || {})) {
+    const p = priceFor(model, pricing);
+    if (!p) { unpriced.push(model); byModel[model] = { ...u, cost: null }; continue; }
+    const cost = (u.input * (p.input ?? 0) + u.output * (p.output ?? 0) + u.cacheWrite * (p.cacheWrite ?? 0) + u.cacheRead * (p.cacheRead ?? 0)) / 1e6;
+    byModel[model] = { ...u, cost };
+    total += cost;
   }
-  return { claudeMdCount, rulesCount, mcpCount: userMcp.size + projectMcp.size, hooksCount, mcpNames: [...userMcp, ...projectMcp] };
+  return { total, currency: 'USD', byModel, unpriced };
 }
 
+function fmtCost(n) { return n >= 100 ? `$${Math.round(n)}` : n >= 10 ? `$${n.toFixed(1)}` : `$${n.toFixed(2)}`; }
+
 // -- Usage API (PERF: 60s file cache, 15s failure cache) --
 function readUsageCache(now) {
   try {
@@ -358,8 +841,8 @@ function readUsageCache(now) {
 }
 function writeUsageCache(data, ts) {
   try {
-    if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
-    fs.writeFileSync(USAGE_CACHE_PATH, JSON.stringify({ data, timestamp: ts }), 'utf8');
+    privateDir(CACHE_DIR);
+    fs.writeFileSync(USAGE_CACHE_PATH, JSON.stringify({ data, timestamp: ts }), { encoding: 'utf8', mode: FILE_MODE });
   } catch { /* ok */ }
 }
 
@@ -389,8 +872,8 @@ function readCredentials(now) {
       }
     } catch {
       try {
-        if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
-        fs.writeFileSync(KEYCHAIN_BACKOFF_PATH, String(now), 'utf8');
+        privateDir(CACHE_DIR);
+        fs.writeFileSync(KEYCHAIN_BACKOFF_PATH, String(now), { encoding: 'utf8', mode: FILE_MODE });
       } catch { /* ok */ }
     }
   }
@@ -449,60 +932,221 @@ async function getUsage() {
     const parseD = s => { if (!s) return null; const d = new Date(s); return isNaN(d.getTime()) ? null : d; };
     const r = { planName, fiveHour: clamp(api.five_hour?.utilization), sevenDay: clamp(api.seven_day?.utilization), fiveHourResetAt: parseD(api.five_hour?.resets_at), sevenDayResetAt: parseD(api.seven_day?.resets_at) };
     writeUsageCache(r, now);
+    recordUsageSnapshot(r, now);
     return r;
   } catch { return null; }
 }
 
+// -- Quota Forecast (rolling snapshot history -> burn rate -> time to 100%) --
+const USAGE_HISTORY_MAX = 500;
+const USAGE_HISTORY_MIN_GAP = 10 * 60000;   // unchanged values are sampled at most every 10m
+const FORECAST_WINDOWS = {
+  fiveHour: { resetKey: 'fiveHourResetAt', lookback: 60 * 60000 },        // rate over the last hour
+  sevenDay: { resetKey: 'sevenDayResetAt', lookback: 24 * 60 * 60000 },   // rate over the last day
+};
+
+function readUsageHistory() {
+  try { const h = JSON.parse(fs.readFileSync(USAGE_HISTORY_PATH, 'utf8')); return Array.isArray(h) ? h : []; } catch { return []; }
+}
+
+function recordUsageSnapshot(u, now) {
+  if (u.fiveHour == null && u.sevenDay == null) return;
+  const hist = readUsageHistory();
+  const last = hist[hist.length - 1];
+  if (last && last.fiveHour === u.fiveHour && last.sevenDay === u.sevenDay && now - last.ts < USAGE_HISTORY_MIN_GAP) return;
+  hist.push({ ts: now, fiveHour: u.fiveHour, sevenDay: u.sevenDay, fiveHourResetAt: u.fiveHourResetAt?.getTime() ?? null, sevenDayResetAt: u.sevenDayResetAt?.getTime() ?? null });
+  try { fs.writeFileSync(USAGE_HISTORY_PATH, JSON.stringify(hist.slice(-USAGE_HISTORY_MAX)), { encoding: 'utf8', mode: FILE_MODE }); } catch { /* ok */ }
+}
+
+function forecastWindow(hist, usage, key, now) {
+  const { resetKey, lookback } = FORECAST_WINDOWS[key];
+  const pct = usage[key];
+  const resetAt = usage[resetKey]?.getTime() ?? null;
+  if (pct == null) return null;
+  // Only samples from the current window (same reset time, +-1m jitter) inside the lookback span
+  const pts = hist.filter(h => h[key] != null && now - h.ts <= lookback && (resetAt == null || Math.abs((h[resetKey] ?? 0) - resetAt) < 60000));
+  if (pts.length < 2) return null;
+  const first = pts[0], last = pts[pts.length - 1];
+  const hours = (last.ts - first.ts) / 3600000;
+  if (hours <= 0) return null;
+  const ratePerHour = (last[key] - first[key]) / hours;
+  if (ratePerHour <= 0 || pct >= 100) return { ratePerHour: Math.max(0, ratePerHour), limitAt: null, minutesToLimit: null, beforeReset: false };
+  const minutesToLimit = Math.round(((100 - pct) / ratePerHour) * 60);
+  const limitAt = new Date(now + minutesToLimit * 60000);
+  return { ratePerHour: Math.round(ratePerHour * 10) / 10, limitAt, minutesToLimit, beforeReset: resetAt == null || limitAt.getTime() < resetAt };
+}
+
+function getUsageForecast(usage) {
+  if (!usage?.planName || usage.apiUnavailable) return null;
+  const hist = readUsageHistory();
+  const now = Date.now();
+  return { fiveHour: forecastWindow(hist, usage, 'fiveHour', now), sevenDay: forecastWindow(hist, usage, 'sevenDay', now) };
+}
+
+// -- Plan Progress (~/.claude/plans/<slug>.md -> steps; status from todos and files touched) --
+const PLAN_STEPS_MAX = 50;
+const PLAN_STEP_PREFIX = /^(?:(?:step|phase|part)\s+)?\d+[.):]?\s+/i;
+const PLAN_FILE_RE = /`([^`\s]+\/[^`\s]+|[^`\s/]+\.[A-Za-z][A-Za-z0-9]{0,5})`/g;
+const PLAN_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'add', 'update', 'use', 'make', 'new', 'all']);
+
+// Steps are, by preference: numbered sub-headings ("## 2. Parser", "### Step 2: ..."), top-level numbered
+// list items and checkboxes, or every sub-heading. Each keeps the files its section mentions in backticks.
+function parsePlan(md) {
+  const lines = md.split('\n');
+  const clean = t => t.replace(/\*\*|__/g, '').replace(/\s+/g, ' ').trim();
+  let title = null, fence = false;
+  const heads = [], items = [];
+  lines.forEach((l, i) => {
+    if (/^\s*(```|~~~)/.test(l)) fence = !fence;
+    if (fence) return;
+    let m;
+    if (!title && (m = l.match(/^#\s+(.+)/))) title = clean(m[1]);
+    else if ((m = l.match(/^(#{2,4})\s+(.+)/))) heads.push({ i, level: m[1].length, text: clean(m[2]) });
+    else if ((m = l.match(/^(\s*)(?:\d+[.)]|[-*+]\s+\[([ xX])\])\s+(.+)/))) items.push({ i, indent: m[1].length, text: clean(m[3]), checked: m[2] ? m[2] !== ' ' : null });
+  });
+
+  const numbered = heads.filter(h => PLAN_STEP_PREFIX.test(h.text));
+  const top = Math.min(...items.map(t => t.indent));
+  const picked = numbered.length >= 2 ? numbered.map(h => ({ ...h, text: h.text.replace(PLAN_STEP_PREFIX, '') }))
+    : items.length ? items.filter(t => t.indent <= top + 1)
+    : heads;
+  const steps = picked.slice(0, PLAN_STEPS_MAX).map((st, k) => {
+    // Section body: up to the next step, and for list items also up to the next heading
+    let end = picked[k + 1]?.i ?? lines.length;
+    const nextHead = heads.find(h => h.i > st.i && (st.level == null || h.level <= st.level));
+    if (nextHead && nextHead.i < end) end = nextHead.i;
+    const files = [...new Set([...lines.slice(st.i, end).join('\n').matchAll(PLAN_FILE_RE)].map(m => m[1]).filter(f => !/^\w+:\/\//.test(f)))];
+    const section = st.level == null ? heads.filter(h => h.i < st.i).pop()?.text ?? null : null;
+    return { n: k + 1, text: st.text, section, done: st.checked === true, files };
+  });
+  return { title, steps };
+}
+
+function planWords(text) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9_./-]+/).filter(w => w.length > 2 && !PLAN_STOPWORDS.has(w)));
+}
+
+// Todo whose wording overlaps the step's the most (at least half of the shorter one's words, and two words)
+function matchTodo(words, todos) {
+  let best = null, bestScore = 0;
+  for (const t of todos) {
+    const shared = [...words].filter(w => t.words.has(w)).length;
+    const score = shared / Math.max(1, Math.min(words.size, t.words.size));
+    if (shared >= Math.min(2, words.size, t.words.size) && score >= 0.5 && score > bestScore) { best = t; bestScore = score; }
+  }
+  return best;
+}
+
+/**
+ * Plan structure plus per-step status while implementing: checked boxes and matching completed todos are done;
+ * a matching in-progress todo, or edits since approval to files the step mentions, put it in progress.
+ * Steps are assumed to run in order, so a step worked on only through its files counts as done once a later step starts.
+ * @returns {{ title, steps: Array<{ n, text, section, status, files, touched }>, current: number|null }|null}
+ */
+function planProgress(tr) {
+  const pm = tr.planMode;
+  if (!pm?.active || !pm.slug) return null;
+  let md;
+  try { md = fs.readFileSync(path.join(HOME, '.claude', 'plans', `${pm.slug}.md`), 'utf8'); } catch { return null; }
+  const { title, steps } = parsePlan(md);
+  if (pm.phase !== 'implementing') {
+    return { title, steps: steps.map(({ done, ...st }) => ({ ...st, status: done ? 'completed' : 'pending', touched: [] })), current: null };
+  }
+
+  const since = pm.since ? new Date(pm.since).getTime() : 0;
+  const edited = Object.entries(tr.files ?? {})
+    .filter(([, f]) => (f.edits || f.deleted) && new Date(f.lastTouched).getTime() >= since).map(([fp]) => fp);
+  const todos = (tr.todos ?? []).map(t => ({ status: t.status, words: planWords(t.content ?? t.subject ?? '') }));
+  const out = steps.map(({ done, ...st }) => {
+    const todo = matchTodo(planWords(st.text), todos);
+    const touched = st.files.filter(f => { const rel = f.replace(/^\.?\//, ''); return edited.some(fp => fp === f || fp.endsWith(`/${rel}`)); });
+    let status = 'pending', byFiles = false;
+    if (done || todo?.status === 'completed') status = 'completed';
+    else if (todo?.status === 'in_progress') status = 'in_progress';
+    else if (touched.length) { status = 'in_progress'; byFiles = true; }
+    return { ...st, status, touched, byFiles };
+  });
+  for (let k = 0; k < out.length; k++) {
+    if (out[k].byFiles && out.slice(k + 1).some(st => st.status !== 'pending')) out[k].status = 'completed';
+  }
+  const lastDone = out.map(st => st.status).lastIndexOf('completed');
+  const cur = out.find(st => st.status === 'in_progress') ?? out.slice(lastDone + 1).find(st => st.status === 'pending');
+  return { title, steps: out.map(({ byFiles, ...st }) => st), current: cur?.n ?? null };
+}
+
 // -- Render --
 function fmtDuration(start) {
   if (!start) return '';
   if (!(start instanceof Date)) start = new Date(start);
   if (isNaN(start.getTime())) return '';
-  const m = Math.floor((Date.now() - start.getTime()) / 60000);
+  const m = Math.floor((now() - start.getTime()) / 60000);
   if (m < 1) return '<1m';
   if (m < 60) return `${m}m`;
   return `${Math.floor(m / 60)}h ${m % 60}m`;
 }
 function fmtReset(d) {
   if (!d) return '';
-  const m = Math.ceil((d.getTime() - Date.now()) / 60000);
+  const m = Math.ceil((d.getTime() - now()) / 60000);
   if (m <= 0) return '';
-  return m < 60 ? `${m}m` : `${Math.floor(m / 60)}h${m % 60 > 0 ? ` ${m % 60}m` : ''}`;
+  return fmtMinutes(m);
 }
-function fmtUsagePct(p) { return p === null ? dim('--') : `${ctxColor(p)}${p}%${RST}`; }
+function fmtMinutes(m) { return m < 60 ? `${m}m` : `${Math.floor(m / 60)}h${m % 60 > 0 ? ` ${m % 60}m` : ''}`; }
+function fmtUsagePct(p) { return p === null ? T.muted('--') : `${ctxColor(p)}${p}%${T.c.RST}`; }
 
-function renderIdentity(stdin, usage, dur) {
+function renderIdentity(stdin, usage, dur, cost, trend, compactions, o = hud.identity) {
   const model = getModelName(stdin);
   const pct = getContextPercent(stdin);
   const parts = [];
   const plan = usage?.planName;
-  parts.push(`${cyan(`[${plan ? `${model} | ${plan}` : model}]`)} ${coloredBar(pct)} ${ctxColor(pct)}${pct}%${RST}`);
+  let ctx = `${T.accent(`[${plan ? `${model} | ${plan}` : model}]`)} ${coloredBar(pct)} ${ctxColor(pct)}${pct}%${T.c.RST}`;
+  const spark = o.sparkline ? sparkline(trend?.samples) : '';
+  if (spark) ctx += ` ${T.muted(spark)}`;
+  // Auto-compact prediction only once it becomes relevant
+  if (o.compactEstimate && trend?.turnsLeft != null && pct >= 50) {
+    const eta = trend.minutesLeft != null ? `/${trend.minutesLeft < 1 ? '<1m' : fmtMinutes(trend.minutesLeft)}` : '';
+    ctx += ` ${ctxColor(pct)}~${trend.turnsLeft} turns${eta} to compact${T.c.RST}`;
+  }
+  // History has been summarized; repeated compactions are a hint to start a fresh session
+  const compacted = compactions?.length ?? 0;
+  if (o.compactions && compacted) ctx += ` ${(compacted > 1 ? T.warn : T.muted)(`compacted \u00d7${compacted}`)}`;
+  parts.push(ctx);
 
   if (usage?.planName && !usage.apiUnavailable) {
     const isLimit = usage.fiveHour === 100 || usage.sevenDay === 100;
     if (isLimit) {
       const rt = fmtReset(usage.fiveHour === 100 ? usage.fiveHourResetAt : usage.sevenDayResetAt);
-      parts.push(red(`\u26a0 Limit${rt ? ` (${rt})` : ''}`));
+      parts.push(T.critical(`\u26a0 Limit${rt ? ` (${rt})` : ''}`));
+    } else if (o.forecast) {
+      // Warn before the badge appears: soonest window projected to hit 100% before it resets
+      const hits = ['fiveHour', 'sevenDay'].map(k => usage.forecast?.[k]).filter(f => f?.beforeReset && f.minutesToLimit != null);
+      if (hits.length) {
+        const m = Math.min(...hits.map(f => f.minutesToLimit));
+        parts.push(T.warn(`limit in ~${fmtMinutes(m)} at current pace`));
+      }
     }
-  } else if (usage?.apiUnavailable) parts.push(yellow('\u26a0'));
+  } else if (usage?.apiUnavailable) parts.push(T.warn('\u26a0'));
 
-  if (dur) parts.push(dim(`\u23f1\ufe0f  ${dur}`));
+  // Subscription users see a notional estimate; API-key users are billed for it
+  if (o.cost && cost?.total > 0) parts.push(usage?.planName ? T.muted(`~${fmtCost(cost.total)}`) : T.warn(fmtCost(cost.total)));
+
+  if (o.duration && dur) parts.push(T.muted(`\u23f1\ufe0f  ${dur}`));
   let line = parts.join(' | ');
-  if (pct >= 85) {
+  if (pct >= hud.thresholds.context.critical) {
     const u = stdin.context_window?.current_usage;
-    if (u) line += dim(` (in: ${fmtTokens(u.input_tokens ?? 0)}, cache: ${fmtTokens((u.cache_creation_input_tokens ?? 0) + (u.cache_read_input_tokens ?? 0))})`);
+    if (u) line += T.muted(` (in: ${fmtTokens(u.input_tokens ?? 0)}, cache: ${fmtTokens((u.cache_creation_input_tokens ?? 0) + (u.cache_read_input_tokens ?? 0))})`);
   }
   return line;
 }
 
-function renderProject(stdin, git) {
+function renderProject(stdin, git, o = hud.project) {
   if (!stdin.cwd) return null;
   const segs = stdin.cwd.split(/[/\\]/).filter(Boolean);
-  const proj = segs.length > 0 ? segs.slice(-2).join('/') : '/';
+  const proj = segs.length > 0 ? segs.slice(-Math.max(1, o.pathDepth)).join('/') : '/';
   let gp = '';
-  if (git) {
-    const parts = [git.branch];
+  if (git && o.git) {
+    const parts = [git.head?.detached ? (git.head.tag ? `tag:${git.head.tag}` : `@${git.branch}`) : git.branch];
     if (git.isDirty) parts.push('*');
+    if (git.operation) parts.push(`|${git.operation.name.toUpperCase()}${git.operation.total ? ` ${git.operation.step}/${git.operation.total}` : ''}`);
     if (git.ahead > 0) parts.push(` \u2191${git.ahead}`);
     if (git.behind > 0) parts.push(` \u2193${git.behind}`);
     if (git.fileStats) {
@@ -510,123 +1154,637 @@ function renderProject(stdin, git) {
       const s = []; if (m) s.push(`!${m}`); if (a) s.push(`+${a}`); if (d) s.push(`\u2718${d}`); if (u) s.push(`?${u}`);
       if (s.length) parts.push(` ${s.join(' ')}`);
     }
-    gp = ` ${magenta('git:(')}${cyan(parts.join(''))}${magenta(')')}`;
+    if (git.stashCount) parts.push(` \u2691${git.stashCount}`);
+    gp = ` ${T.secondary('git:(')}${T.accent(parts.join(''))}${T.secondary(')')}`;
+    if (git.diff?.added || git.diff?.deleted) gp += ` ${T.ok(`+${git.diff.added}`)} ${T.critical(`-${git.diff.deleted}`)}`;
+    if (git.conflictCount) gp += ` ${T.critical(`\u26a0 ${git.conflictCount} conflict${git.conflictCount === 1 ? '' : 's'}`)}`;
+    if (git.worktree) gp += ` ${T.muted(`[worktree ${git.worktree.name}]`)}`;
   }
-  return `${yellow(proj)}${gp}`;
+  return `${T.label(proj)}${gp}`;
 }
 
-function renderEnv(cfg) {
+function renderEnv(cfg, mcp) {
   const p = [];
   if (cfg.claudeMdCount) p.push(`${cfg.claudeMdCount} CLAUDE.md`);
   if (cfg.rulesCount) p.push(`${cfg.rulesCount} rules`);
   if (cfg.mcpCount) p.push(`${cfg.mcpCount} MCPs`);
   if (cfg.hooksCount) p.push(`${cfg.hooksCount} hooks`);
-  return p.length ? dim(p.join(' | ')) : null;
+  const out = [p.length ? T.muted(p.join(' | ')) : '', mcp?.failing.length ? T.critical(`\u2718 MCP ${mcp.failing.join(', ')}`) : ''].filter(Boolean);
+  return out.length ? out.join(' ') : null;
 }
 
-function renderTools(tr) {
+function renderTools(tr, o = hud.tools) {
   if (!tr.tools.length) return null;
   const p = [];
-  for (const t of tr.tools.filter(t => t.status === 'running').slice(-2)) {
-    const tgt = t.target ? dim(`: ${t.target.length > 20 ? '.../' + (t.target.split('/').pop() || t.target) : t.target}`) : '';
-    p.push(`${yellow('\u25d0')} ${cyan(t.name)}${tgt}`);
-  }
-  const counts = new Map();
-  for (const t of tr.tools.filter(t => t.status !== 'running')) counts.set(t.name, (counts.get(t.name) ?? 0) + 1);
-  for (const [n, c] of [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 4))
-    p.push(`${green('\u2713')} ${n} ${dim(`\u00d7${c}`)}`);
+  const running = tr.tools.filter(t => t.status === 'running');
+  for (const t of o.running > 0 ? running.slice(-o.running) : []) {
+    const tgt = t.target ? T.muted(`: ${t.target.length > o.targetLength ? '.../' + (t.target.split('/').pop() || t.target) : t.target}`) : '';
+    p.push(`${T.warn('\u25d0')} ${T.accent(t.name)}${tgt}`);
+  }
+  // Session-wide totals (tr.tools only holds the most recent calls)
+  const counts = new Map(Object.entries(tr.toolStats?.byTool ?? {}).map(([n, s]) => [n, s.completed]).filter(([, c]) => c > 0));
+  for (const [n, c] of [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, o.completed))
+    p.push(`${T.ok('\u2713')} ${n} ${T.muted(`\u00d7${c}`)}`);
   return p.length ? p.join(' | ') : null;
 }
 
-function renderAgents(tr) {
-  const show = [...tr.agents.filter(a => a.status === 'running'), ...tr.agents.filter(a => a.status === 'completed').slice(-2)].slice(-3);
-  if (!show.length) return null;
-  return show.map(a => {
-    const icon = a.status === 'running' ? yellow('\u25d0') : green('\u2713');
-    const end = a.endTime instanceof Date ? a.endTime : (a.endTime ? new Date(a.endTime) : new Date());
+function fmtMs(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+// Slowest tools by total time, error counts, and the single slowest call
+function renderToolStats(tr, o = hud.stats) {
+  const entries = Object.entries(tr.toolStats?.byTool ?? {}).filter(([, s]) => s.completed > 0);
+  if (!entries.length) return null;
+  const p = [];
+  const top = entries.sort((a, b) => b[1].totalMs - a[1].totalMs).slice(0, o.max);
+  const flaky = entries.filter(([n, s]) => s.errors > 0 && !top.some(([t]) => t === n));
+  for (const [n, s] of [...top, ...flaky]) {
+    const err = s.errors > 0 ? ` ${T.critical(`\u2718${s.errors}/${s.completed}`)}` : '';
+    p.push(`${n} ${T.muted(`avg ${fmtMs(s.totalMs / s.completed)} max ${fmtMs(s.maxMs)}`)}${err}`);
+  }
+  const slow = tr.toolStats.slowest?.[0];
+  if (o.slowest && slow && slow.ms >= 10000) p.push(T.warn(`slowest: ${slow.name}${slow.target ? ` ${slow.target}` : ''} (${fmtMs(slow.ms)})`));
+  return `${T.muted('\u23f1')} ${p.join(' | ')}`;
+}
+
+// Most recent tool failure, while it is still fresh
+function renderLastError(tr, o = hud.errors) {
+  const e = tr.errors?.[tr.errors.length - 1];
+  if (!e) return null;
+  if (o.maxAgeMinutes > 0 && now() - new Date(e.at).getTime() > o.maxAgeMinutes * 60000) return null;
+  const tgt = e.target ? T.muted(` ${e.target.length > 30 ? '.../' + (e.target.split('/').pop() || e.target) : e.target}`) : '';
+  const text = e.text.length > o.textLength ? `${e.text.slice(0, o.textLength - 3)}...` : e.text;
+  const more = tr.errors.length > 1 ? T.muted(` (+${tr.errors.length - 1} earlier)`) : '';
+  return `${T.critical('\u2718')} ${T.accent(e.name)}${tgt}${T.muted(':')} ${text}${more}`;
+}
+
+// Most recently modified files (+ created, ~ edited, - deleted) and the read-only count
+function renderFiles(tr, cwd, o = hud.files) {
+  const all = summarizeFiles(tr.files, cwd);
+  const changed = all.filter(f => f.edits > 0 || f.deleted);
+  if (!changed.length) return null;
+  const fmt = f => {
+    const p = f.path.length > o.pathLength ? `\u2026${f.path.slice(-(o.pathLength - 1))}` : f.path;
+    return f.deleted ? T.critical(`-${p}`) : f.created ? T.ok(`+${p}`) : T.warn(`~${p}`);
+  };
+  const shown = changed.slice(0, o.max).map(fmt);
+  const rest = changed.length - shown.length;
+  const reads = all.length - changed.length;
+  const tail = [rest > 0 ? `+${rest} more` : '', reads > 0 ? `${reads} read` : ''].filter(Boolean).join(', ');
+  return `${T.muted('Files:')} ${shown.join(' ')}${tail ? T.muted(` (${tail})`) : ''}`;
+}
+
+function renderAgents(tr, o = hud.agents) {
+  const picked = new Set([...tr.agents.filter(a => a.status === 'running'), ...tr.agents.filter(a => a.status === 'completed').slice(-2)].slice(-o.max || Infinity).slice(0, o.max).map(a => a.id));
+  if (!picked.size) return null;
+  return agentTree(tr.agents).filter(a => picked.has(a.id)).map(a => {
+    const icon = a.status === 'running' ? T.warn('\u25d0') : T.ok('\u2713');
+    const end = a.endTime instanceof Date ? a.endTime : (a.endTime ? new Date(a.endTime) : new Date(now()));
     const st = a.startTime instanceof Date ? a.startTime : new Date(a.startTime);
     const ms = end.getTime() - st.getTime();
     const el = ms < 1000 ? '<1s' : ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
-    return `${icon} ${magenta(a.type)}${a.model ? ` ${dim(`[${a.model}]`)}` : ''}${a.description ? dim(`: ${a.description.slice(0, 40)}`) : ''} ${dim(`(${el})`)}`;
+    const indent = a.depth ? `${'  '.repeat(a.depth - 1)}${T.muted('\u2514')} ` : '';
+    const counts = a.toolCalls ? ` ${T.muted(`${a.toolCalls} tool${a.toolCalls === 1 ? '' : 's'}`)}${a.errors ? ` ${T.critical(`${a.errors}\u2717`)}` : ''}` : '';
+    const doing = a.status === 'running' && a.current ? ` ${T.muted('\u2192')} ${T.accent(a.current.name)}${a.current.target ? T.muted(`: ${String(a.current.target).slice(0, hud.tools.targetLength)}`) : ''}` : '';
+    return `${indent}${icon} ${T.secondary(a.type)}${a.model ? ` ${T.muted(`[${a.model}]`)}` : ''}${a.description ? T.muted(`: ${a.description.slice(0, o.descriptionLength)}`) : ''} ${T.muted(`(${el})`)}${counts}${doing}`;
   }).join('\n');
 }
 
-function readPlanTitle(slug) {
-  if (!slug) return null;
-  const fp = path.join(HOME, '.claude', 'plans', `${slug}.md`);
-  try {
-    if (!fs.existsSync(fp)) return null;
-    const head = fs.readFileSync(fp, 'utf8').slice(0, 500);
-    const m = head.match(/^#\s+(.+)/m);
-    return m ? m[1].trim() : null;
-  } catch { return null; }
-}
-
-function renderPlanMode(tr) {
+function renderPlanMode(tr, plan, o = hud.plan) {
   if (!tr.planMode?.active) return null;
-  const title = readPlanTitle(tr.planMode.slug);
-  const phase = tr.planMode.phase === 'implementing' ? 'Impl' : 'Plan';
-  const icon = tr.planMode.phase === 'implementing' ? '\u{1F6A7}' : '\u{1F4CB}';
-  if (title) return `${B_MAG}${icon}${RST} ${magenta(phase)} ${title.slice(0, 36)}${title.length > 36 ? '...' : ''}`;
-  return `${B_MAG}${icon}${RST} ${magenta(phase + ' Mode')}`;
+  const title = plan?.title;
+  const implementing = tr.planMode.phase === 'implementing';
+  const phase = implementing ? 'Impl' : 'Plan';
+  const icon = implementing ? '\u{1F6A7}' : '\u{1F4CB}';
+  let line = title
+    ? `${T.c.highlight}${icon}${T.c.RST} ${T.secondary(phase)} ${title.slice(0, o.titleLength)}${title.length > o.titleLength ? '...' : ''}`
+    : `${T.c.highlight}${icon}${T.c.RST} ${T.secondary(phase + ' Mode')}`;
+  const steps = plan?.steps ?? [];
+  if (!steps.length) return line;
+  if (!implementing) return `${line} ${T.muted(`(${steps.length} steps)`)}`;
+  const cur = steps.find(st => st.n === plan.current);
+  if (cur) line += ` ${T.muted('|')} ${T.warn(`step ${cur.n}/${steps.length}`)}: ${cur.text.slice(0, o.stepLength)}${cur.text.length > o.stepLength ? '\u2026' : ''}`;
+  else line += ` ${T.muted('|')} ${T.ok(`${steps.filter(st => st.status === 'completed').length}/${steps.length} steps \u2713`)}`;
+  return line;
 }
 
-function renderTodos(tr) {
+function renderTodos(tr, o = hud.todos) {
   if (!tr.todos.length) return null;
   const done = tr.todos.filter(t => t.status === 'completed').length;
   const total = tr.todos.length;
   const ip = tr.todos.find(t => t.status === 'in_progress');
-  if (!ip) return done === total && total > 0 ? `${green('\u2713')} All todos complete ${dim(`(${done}/${total})`)}` : null;
-  return `${yellow('\u25b8')} ${(ip.content ?? ip.subject ?? '').slice(0, 50)} ${dim(`(${done}/${total})`)}`;
+  if (!ip) return done === total && total > 0 ? `${T.ok('\u2713')} All todos complete ${T.muted(`(${done}/${total})`)}` : null;
+  return `${T.warn('\u25b8')} ${(ip.content ?? ip.subject ?? '').slice(0, o.textLength)} ${T.muted(`(${done}/${total})`)}`;
+}
+
+function summarizeToolStats(stats) {
+  const byTool = {};
+  for (const [n, s] of Object.entries(stats?.byTool ?? {}))
+    byTool[n] = { ...s, avgMs: s.completed ? Math.round(s.totalMs / s.completed) : null };
+  return { byTool, slowest: stats?.slowest ?? [] };
+}
+
+// -- MCP usage --
+// Tool names look like mcp__<server>__<tool>; server names never contain a double underscore
+function parseMcpName(name) {
+  const m = /^mcp__(.+?)__(.+)$/.exec(name ?? '');
+  return m ? { server: m[1], tool: m[2] } : null;
+}
+
+// Per-server and per-tool calls/errors/latency from the tool stats, checked against the configured servers.
+// health: ok | degraded (some calls failed) | failing (at least half failed) | unused (configured, never called)
+function summarizeMcp(stats, errors, configuredNames = []) {
+  const servers = {};
+  for (const [name, s] of Object.entries(stats?.byTool ?? {})) {
+    const id = parseMcpName(name);
+    if (!id) continue;
+    const srv = servers[id.server] ??= { calls: 0, errors: 0, completed: 0, totalMs: 0, maxMs: 0, tools: {} };
+    srv.calls += s.calls; srv.errors += s.errors; srv.completed += s.completed; srv.totalMs += s.totalMs;
+    srv.maxMs = Math.max(srv.maxMs, s.maxMs);
+    srv.tools[id.tool] = { calls: s.calls, errors: s.errors, avgMs: s.completed ? Math.round(s.totalMs / s.completed) : null, maxMs: s.maxMs };
+  }
+  const configured = new Set(configuredNames);
+  for (const name of configured) servers[name] ??= { calls: 0, errors: 0, completed: 0, totalMs: 0, maxMs: 0, tools: {} };
+  for (const e of errors ?? []) {
+    const id = parseMcpName(e.name);
+    if (id && servers[id.server]) servers[id.server].lastError = { tool: id.tool, text: e.text, at: e.at };
+  }
+  for (const [name, srv] of Object.entries(servers)) {
+    srv.configured = configured.has(name);
+    srv.avgMs = srv.completed ? Math.round(srv.totalMs / srv.completed) : null;
+    delete srv.totalMs;
+    srv.health = !srv.calls ? 'unused' : srv.completed && srv.errors * 2 >= srv.completed ? 'failing' : srv.errors ? 'degraded' : 'ok';
+  }
+  const names = Object.keys(servers);
+  return {
+    servers,
+    unused: names.filter(n => servers[n].configured && !servers[n].calls),
+    unconfigured: names.filter(n => !servers[n].configured),
+    failing: names.filter(n => servers[n].health === 'failing'),
+  };
+}
+
+// -- Notifications --
+// The slice of state notify.mjs compares between updates
+function notifySnapshot(stdin, tr, usage) {
+  return {
+    contextPercent: getContextPercent(stdin),
+    quota: usage ? { fiveHour: usage.fiveHour, sevenDay: usage.sevenDay, fiveHourResetAt: usage.fiveHourResetAt, sevenDayResetAt: usage.sevenDayResetAt } : null,
+    agents: tr.agents.map(a => ({ id: a.id, status: a.status, type: a.type, description: a.description })),
+    todos: tr.todos.map(t => ({ status: t.status, content: t.content ?? t.subject })),
+    toolErrors: Object.fromEntries(Object.entries(tr.toolStats?.byTool ?? {}).filter(([, s]) => s.errors).map(([n, s]) => [n, s.errors])),
+    recentErrors: (tr.errors ?? []).map(e => ({ name: e.name, at: e.at })),
+    planApprovalId: tr.planMode?.awaitingApproval ?? null,
+  };
+}
+
+// -- Metrics --
+function metricsSample(stdin, sessionKey, tr, usage, cost, activity) {
+  return {
+    ts: new Date(now()).toISOString(),
+    session: sessionKey,
+    project: stdin.cwd ? path.basename(stdin.cwd) : '',
+    model: getModelName(stdin),
+    contextPercent: getContextPercent(stdin),
+    contextTokens: getContextTokens(stdin),
+    cost: cost?.total ?? null,
+    quota: usage ? { '5h': usage.fiveHour, '7d': usage.sevenDay } : {},
+    tools: Object.fromEntries(Object.entries(tr.toolStats?.byTool ?? {}).map(([n, s]) => [n, { calls: s.calls, errors: s.errors }])),
+    agentsRunning: tr.agents.filter(a => a.status === 'running').length,
+    activity: activity?.state ?? null,
+  };
+}
+
+// -- Activity --
+// working | awaiting_permission | idle, from the transcript plus Notification hook events (`--hook`)
+const ACTIVITY_FLAGS = { working: '\u25cf', awaiting_permission: '?', idle: '\u25cb' };
+
+function activityPath(sessionKey) {
+  return path.join(CACHE_DIR, `activity-${createHash('sha1').update(sessionKey).digest('hex').slice(0, 16)}.json`);
+}
+
+function readActivityState(sessionKey) {
+  try { return JSON.parse(fs.readFileSync(activityPath(sessionKey), 'utf8')); } catch { return {}; }
+}
+
+function writeActivityState(sessionKey, st) {
+  try {
+    const fp = activityPath(sessionKey);
+    fs.writeFileSync(fp + '.tmp', JSON.stringify(st), { encoding: 'utf8', mode: FILE_MODE });
+    fs.renameSync(fp + '.tmp', fp);
+  } catch { /* ok */ }
+}
+
+// Notification hook payload -> activity state (null for notifications that don't say)
+function classifyNotification(hook) {
+  const type = hook.notification_type ?? '';
+  const msg = hook.message ?? '';
+  if (type === 'permission_prompt' || type === 'elicitation_dialog' || /permission/i.test(msg)) return 'awaiting_permission';
+  if (type === 'idle_prompt' || /waiting for your input/i.test(msg)) return 'idle';
+  return null;
+}
+
+function detectActivity(tr, hook, at = now(), o = hud.activity) {
+  const last = tr.lastActivity ? new Date(tr.lastActivity).getTime() : 0;
+  // A hook event newer than anything in the transcript is the most direct signal
+  if (hook?.state && hook.at >= last) return { state: hook.state, since: new Date(hook.at).toISOString(), source: 'hook', detail: hook.message ?? null };
+  if (tr.planMode?.awaitingApproval) return { state: 'awaiting_permission', since: new Date(last).toISOString(), source: 'plan', detail: 'ExitPlanMode' };
+  // Checked before pending tools: an interrupted call never gets its result
+  if (!tr.lastEntry || tr.lastEntry.endTurn) return { state: 'idle', since: tr.lastEntry ? new Date(tr.lastEntry.at).toISOString() : null, source: 'transcript', detail: null };
+  const pending = (tr.tools ?? []).filter(t => t.status === 'running');
+  if (pending.length && at - last >= o.permissionAfterSeconds * 1000) {
+    const t = pending[pending.length - 1];
+    return { state: 'awaiting_permission', since: new Date(last).toISOString(), source: 'tool', detail: t.target ? `${t.name}: ${t.target}` : t.name };
+  }
+  return { state: 'working', since: new Date(last).toISOString(), source: 'transcript', detail: pending.length ? pending[pending.length - 1].name : null };
+}
+
+// Mirror the state into the tmux window option @claude_activity. The window name is left alone so
+// automatic-rename keeps working; formats can read the option instead.
+function reflectActivity(state, st) {
+  const pane = process.env.TMUX_PANE;
+  if (!pane || !hud.activity.tmuxWindow || st.state === state) return;
+  try {
+    spawn('tmux', ['set-option', '-w', '-t', pane, '@claude_activity', state], { detached: true, stdio: 'ignore' }).on('error', () => { /* ok */ }).unref();
+  } catch { /* not in tmux */ }
+  st.state = state;
+}
+
+// `statusline.mjs --hook`: Notification hook. Records the event and patches the panel state right away,
+// since Claude Code doesn't refresh the statusline while it waits for the user.
+async function runHook() {
+  try {
+    const hook = await readStdin();
+    if (!hook || hook.hook_event_name !== 'Notification') return;
+    const state = classifyNotification(hook);
+    const key = hook.session_id ?? hook.transcript_path;
+    if (!state || !key) return;
+    hud = loadHudConfig(hook.cwd).config;
+    const st = readActivityState(key);
+    st.hook = { state, message: hook.message ?? null, at: Date.now() };
+    reflectActivity(state, st);
+    writeActivityState(key, st);
+    try {
+      const panel = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      if (panel._panel && panel.session_id === key) {
+        panel._panel.activity = { state, since: new Date(st.hook.at).toISOString(), source: 'hook', detail: st.hook.message };
+        fs.writeFileSync(STATE_FILE + '.tmp', JSON.stringify(panel), { mode: FILE_MODE });
+        fs.renameSync(STATE_FILE + '.tmp', STATE_FILE);
+        if (hud.socket.enabled && panel._schema === SCHEMA_VERSION) await publish(STATE_SOCKET, panel, { stateFile: STATE_FILE, idleMinutes: hud.socket.idleMinutes });
+      }
+    } catch { /* no panel state yet */ }
+  } catch { /* never block Claude */ }
+}
+
+// Segment name -> renderer; `d` is the collected data, `o` the segment's config block
+const SEGMENT_RENDERERS = {
+  identity: (d, o) => renderIdentity(d.stdin, d.usage, d.dur, d.cost, d.contextTrend, d.transcript.compactions, o),
+  project:  (d, o) => renderProject(d.stdin, d.gitStatus, o),
+  env:      (d)    => renderEnv(d.configs, d.mcp),
+  plan:     (d, o) => renderPlanMode(d.transcript, d.plan, o),
+  tools:    (d, o) => renderTools(d.transcript, o),
+  stats:    (d, o) => renderToolStats(d.transcript, o),
+  errors:   (d, o) => renderLastError(d.transcript, o),
+  files:    (d, o) => renderFiles(d.transcript, d.stdin.cwd, o),
+  agents:   (d, o) => renderAgents(d.transcript, o),
+  todos:    (d, o) => renderTodos(d.transcript, o),
+};
+
+// `statusline.mjs --check-config`: validate config files for the current directory
+function checkConfig() {
+  const { config, errors } = loadHudConfig(process.cwd());
+  T = createTheme(config.theme, config.colorDepth);
+  for (const e of errors) console.error(T.critical(`\u2718 ${e}`));
+  if (!errors.length) console.error(T.ok('\u2713 config OK'));
+  console.log(JSON.stringify(config, null, 2));
+  process.exitCode = errors.length ? 1 : 0;
+}
+
+// Segment lines for one update; config problems go last so they never hide the HUD
+function renderLines(data) {
+  const lines = [];
+  for (const name of hud.segments) {
+    const l = SEGMENT_RENDERERS[name](data, hud[name]);
+    if (l) lines.push(l);
+  }
+  const errs = data.configErrors ?? [];
+  if (errs.length) {
+    const more = errs.length > 1 ? ` (+${errs.length - 1} more; run statusline.mjs --check-config)` : '';
+    lines.push(T.critical(`[statusline] config: ${errs[0]}${more}`));
+  }
+  return lines;
+}
+
+// State file payload (schema in state.mjs): the stdin fields readers need plus everything derived from it under `_panel`
+function panelState(d) {
+  const { stdin, transcript } = d;
+  return {
+    ...Object.fromEntries(STATE_INPUT_FIELDS.filter(k => k in stdin).map(k => [k, stdin[k]])),
+    _schema: SCHEMA_VERSION,
+    _panel: {
+      tools: transcript.tools.map(t => ({ name: t.name, status: t.status, target: t.target })),
+      agents: agentTree(transcript.agents).map(a => ({
+        id: a.id, parentId: a.parentId ?? null, depth: a.depth, agentId: a.agentId, type: a.type, model: a.model, description: a.description,
+        status: a.status, startTime: a.startTime, endTime: a.endTime, toolCalls: a.toolCalls ?? 0, errors: a.errors ?? 0, tokens: a.tokens,
+        current: a.current ?? null, lastActivity: a.lastActivity,
+      })),
+      todos: transcript.todos,
+      toolStats: summarizeToolStats(transcript.toolStats),
+      errors: transcript.errors,
+      files: summarizeFiles(transcript.files, stdin.cwd),
+      planMode: transcript.planMode && { ...transcript.planMode, title: d.plan?.title ?? null, steps: d.plan?.steps ?? [], currentStep: d.plan?.current ?? null },
+      compactions: transcript.compactions ?? [],
+      sessionStart: transcript.sessionStart,
+      gitStatus: d.gitStatus, configs: d.configs, mcp: d.mcp, usage: d.usage, cost: d.cost, duration: d.dur,
+      contextPercent: getContextPercent(stdin),
+      contextTrend: d.contextTrend,
+      configErrors: d.configErrors,
+      notifications: d.notifications,
+      activity: d.activity,
+    },
+  };
+}
+
+// -- tmux Status Line (`--tmux`: a panel's latest state as a tmux format string for status-right or window names) --
+// Reads the state file instead of stdin, so tmux can run it from `#()` at its own status-interval.
+const TMUX_USAGE = 'usage: statusline.mjs --tmux [--panel <id>] [--segments <a,b,..>] [--width <columns>]';
+const TMUX_SEP = ' | ';
+const TODO_MIN = 8;             // columns of the todo kept before whole segments are dropped
+
+const tmuxEscape = t => String(t).replace(/#/g, '##');
+
+// Segment name -> [style, text, flexible?][] from the state; null hides the segment
+const TMUX_SEGMENTS = {
+  activity: p => {
+    const a = p.activity?.state;
+    return ACTIVITY_FLAGS[a] ? [[{ working: T.c.ok, awaiting_permission: T.c.warn, idle: T.c.muted }[a], ACTIVITY_FLAGS[a]]] : null;
+  },
+  model: (p, s) => [[T.c.accent, getModelName(s)]],
+  context: p => [[T.c.muted, 'ctx '], [ctxColor(p.contextPercent), `${p.contextPercent}%`]],
+  quota: p => {
+    const u = p.usage;
+    if (!u?.planName) return null;
+    if (u.apiUnavailable) return [[T.c.warn, '⚠ quota']];
+    if (u.fiveHour === 100 || u.sevenDay === 100) {
+      const at = u.fiveHour === 100 ? u.fiveHourResetAt : u.sevenDayResetAt;
+      const rt = at ? fmtReset(new Date(at)) : '';
+      return [[T.c.critical, `⚠ limit${rt ? ` (${rt})` : ''}`]];
+    }
+    const parts = [];
+    for (const [label, v] of [['5h', u.fiveHour], ['7d', u.sevenDay]]) {
+      if (v == null) continue;
+      if (parts.length) parts.push(['', ' ']);
+      parts.push([T.c.muted, `${label} `], [quotaColor(v), `${v}%`]);
+    }
+    return parts.length ? parts : null;
+  },
+  todo: p => {
+    const t = (p.todos ?? []).find(t => t.status === 'in_progress');
+    return t ? [[T.c.text, '▸ '], [T.c.text, t.content ?? t.subject ?? '', true]] : null;
+  },
+  agents: p => {
+    const n = (p.agents ?? []).filter(a => a.status === 'running').length;
+    return n ? [[T.c.secondary, `${n} agent${n === 1 ? '' : 's'}`]] : null;
+  },
+  project: (p, s) => {
+    if (!s.cwd) return null;
+    const parts = [[T.c.label, path.basename(s.cwd) || '/']];
+    if (p.gitStatus?.branch) parts.push(['', ' '], [T.c.accent, `${p.gitStatus.branch}${p.gitStatus.isDirty ? '*' : ''}`]);
+    return parts;
+  },
+  cost: p => p.cost?.total > 0 ? [[T.c.muted, `~${fmtCost(p.cost.total)}`]] : null,
+};
+
+// Fit segments into `width` columns: drop segments from the end until the rest fits with flexible parts
+// at TODO_MIN columns, then shorten flexible parts only as far as needed
+function fitTmux(segs, width) {
+  const partW = (part, min) => min && part[2] ? Math.min(strW(part[1]), TODO_MIN) : strW(part[1]);
+  const total = (min = false) => segs.reduce((n, seg) => n + seg.reduce((m, part) => m + partW(part, min), 0), 0)
+    + strW(TMUX_SEP) * Math.max(0, segs.length - 1);
+  if (!width) return segs;
+  while (segs.length > 1 && total(true) > width) segs.pop();
+  for (const part of segs.flat()) {
+    const over = total() - width;
+    if (over > 0 && part[2]) part[1] = truncS(part[1], Math.max(TODO_MIN, strW(part[1]) - over));
+  }
+  // A single segment still too wide: cut its text from the end
+  for (let i = (segs[0]?.length ?? 0) - 1; i >= 0 && total() > width; i--) {
+    const part = segs[0][i];
+    part[1] = truncS(part[1], Math.max(0, strW(part[1]) - (total() - width)));
+  }
+  return segs;
+}
+
+function tmuxPanelId(arg) {
+  if (arg) return arg;
+  if (PANEL_ID) return PANEL_ID;
+  if (!process.env.TMUX) return '';
+  try { return execFileSync('tmux', ['display-message', '-p', '#S'], { encoding: 'utf8', timeout: 1000, stdio: ['ignore', 'pipe', 'ignore'] }).trim(); }
+  catch { return ''; }
+}
+
+// Prints nothing when the session has no state yet, so the status bar just stays empty
+function runTmux(argv) {
+  let panel = null, segNames = null, width = null;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--panel') panel = argv[++i];
+    else if (a === '--segments') segNames = (argv[++i] ?? '').split(',').map(n => n.trim()).filter(Boolean);
+    else if (a === '--width') width = Number(argv[++i]);
+    else { console.error(`unexpected argument ${a}\n${TMUX_USAGE}`); process.exitCode = 2; return; }
+  }
+  const bad = (segNames ?? []).filter(n => !TMUX_SEGMENT_NAMES.includes(n));
+  if (bad.length) { console.error(`--segments: unknown segment ${bad.join(', ')} (valid: ${TMUX_SEGMENT_NAMES.join(', ')})`); process.exitCode = 2; return; }
+  if (width != null && !(Number.isInteger(width) && width >= 0)) { console.error(`--width: expected a number of columns\n${TMUX_USAGE}`); process.exitCode = 2; return; }
+
+  let state;
+  try { state = JSON.parse(fs.readFileSync(statePaths(tmuxPanelId(panel)).file, 'utf8')); } catch { return; }
+  const p = state?._panel;
+  if (!p) return;
+  hud = loadHudConfig(state.cwd).config;
+  T = createTmuxTheme(hud.theme, hud.colorDepth);
+
+  const segs = (segNames ?? hud.tmux.segments).map(n => TMUX_SEGMENTS[n](p, state)).filter(Boolean);
+  const out = fitTmux(segs, width ?? hud.tmux.width)
+    .map(seg => seg.map(([style, text]) => text ? `${style}${tmuxEscape(text)}${style ? T.c.RST : ''}` : '').join(''))
+    .join(`${T.c.muted}${TMUX_SEP}${T.c.RST}`);
+  process.stdout.write(out + '\n');
+}
+
+// -- Replay (`--replay <transcript.jsonl>`: re-run the HUD over a recorded session, offline) --
+// Entries are fed one at a time into a scratch copy of the transcript, so the incremental parser, context trend,
+// notifications and activity see the same sequence of updates they saw live. The clock follows the entries'
+// timestamps and nothing outside the scratch directory is touched unless --env asks for it, so the output
+// is stable across runs and machines (usable as golden files).
+const REPLAY_USAGE = 'usage: statusline.mjs --replay <transcript.jsonl> [--stdin <file.json>] [--until <ISO time>] [--final] [--json] [--no-panel] [--color] [--env]';
+const EMPTY_CONFIGS = { claudeMdCount: 0, rulesCount: 0, mcpCount: 0, hooksCount: 0, mcpNames: [], mcpServers: [], hooks: {}, hooksDisabled: false, claudeMd: [], rules: [] };
+
+function replayArgs(argv) {
+  const o = { file: null, stdin: null, until: null, final: false, json: false, panel: true, color: false, env: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--stdin') o.stdin = argv[++i];
+    else if (a === '--until') o.until = argv[++i];
+    else if (a === '--final') o.final = true;
+    else if (a === '--json') o.json = true;
+    else if (a === '--no-panel') o.panel = false;
+    else if (a === '--color') o.color = true;
+    else if (a === '--env') o.env = true;
+    else if (!a.startsWith('--') && !o.file) o.file = a;
+    else throw new Error(`unexpected argument ${a}`);
+  }
+  if (!o.file) throw new Error('missing transcript path');
+  return o;
+}
+
+// The stdin Claude Code would have sent after `entries`: model and context usage come from the latest
+// main-conversation response; anything given with --stdin is kept as the base
+function replayStdin(base, entries, file) {
+  const s = { ...base, transcript_path: file };
+  s.session_id ??= entries.find(e => e?.sessionId)?.sessionId ?? 'replay';
+  const last = entries.findLast(e => e?.type === 'assistant' && !e.isSidechain && e.message?.usage);
+  if (last) {
+    if (!base.model && last.message.model) s.model = { id: last.message.model, display_name: last.message.model };
+    s.context_window = { context_window_size: base.context_window?.context_window_size ?? 200000, current_usage: last.message.usage };
+  }
+  return s;
+}
+
+async function runReplay(argv) {
+  let o;
+  try { o = replayArgs(argv); }
+  catch (e) { console.error(`${e.message}\n${REPLAY_USAGE}`); process.exitCode = 2; return; }
+  let raw, base = {};
+  try { raw = fs.readFileSync(o.file, 'utf8').split('\n').filter(l => l.trim()); }
+  catch (e) { console.error(`${o.file}: ${e.message}\n${REPLAY_USAGE}`); process.exitCode = 2; return; }
+  if (o.stdin) {
+    try { base = JSON.parse(fs.readFileSync(o.stdin, 'utf8')); }
+    catch (e) { console.error(`${o.stdin}: ${e.message}\n${REPLAY_USAGE}`); process.exitCode = 2; return; }
+  }
+  const until = o.until ? Date.parse(o.until) : null;
+  if (Number.isNaN(until)) { console.error(`--until: not a date: ${o.until}`); process.exitCode = 2; return; }
+
+  const parsed = raw.map(l => { try { return JSON.parse(l); } catch { return null; } });
+  let n = parsed.length;
+  if (until != null) {
+    const cut = parsed.findIndex(e => e?.timestamp && Date.parse(e.timestamp) > until);
+    if (cut >= 0) n = cut;
+  }
+
+  // One working directory for the whole replay (config, git and relative file paths resolve against it)
+  const cwd = base.cwd ?? parsed.slice(0, n).find(e => e?.cwd)?.cwd ?? process.cwd();
+  const { config, errors: configErrors } = o.env ? loadHudConfig(cwd) : { config: DEFAULT_CONFIG, errors: [] };
+  hud = config;
+  T = createTheme(hud.theme, o.color ? hud.colorDepth : 'none');
+  const configs = o.env ? countConfigs(cwd) : EMPTY_CONFIGS;
+  const gitStatus = o.env ? await collectGitStatus(cwd) : null;
+  const quiet = { ...hud.notifications, tmux: false, bell: false, desktop: false };
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-hud-replay-'));
+  const tx = path.join(tmp, 'transcript.jsonl');
+  fs.writeFileSync(tx, '');
+  clock = 0;
+  try {
+    for (let i = 0; i < n; i++) {
+      fs.appendFileSync(tx, raw[i] + '\n');
+      const entry = parsed[i];
+      if (entry?.timestamp) clock = Date.parse(entry.timestamp) || clock;
+      // Every step is computed (trend and notifications depend on the sequence); --until/--final print only the last
+      const stdin = replayStdin({ ...base, cwd }, parsed.slice(0, i + 1), o.file);
+      const transcript = parseTranscript(tx, path.join(tmp, 'parse-cache'));
+      const data = {
+        stdin, transcript, gitStatus, configs, usage: null, configErrors,
+        mcp: summarizeMcp(transcript.toolStats, transcript.errors, configs.mcpNames),
+        dur: fmtDuration(transcript.sessionStart),
+        cost: estimateCost(transcript.tokenUsage, hud.pricing),
+        contextTrend: getContextTrend(stdin, path.join(tmp, 'context-history')),
+        plan: o.env ? planProgress(transcript) : null,
+      };
+      data.notifications = notify(notifySnapshot(stdin, transcript, null), quiet, tmp, stdin.session_id, clock);
+      data.activity = detectActivity(transcript, null, clock);
+      if ((o.final || until != null) && i < n - 1) continue;
+
+      const lines = renderLines(data);
+      const step = { step: i + 1, ts: entry?.timestamp ?? null, type: entry?.type ?? null };
+      // Round-trip through JSON so Dates print exactly as they do in the state file
+      const panel = o.panel ? JSON.parse(JSON.stringify(panelState(data)._panel)) : undefined;
+      if (o.json) {
+        console.log(JSON.stringify({ ...step, lines: lines.flatMap(l => l.split('\n')), panel }));
+      } else {
+        console.log(T.muted(`── step ${step.step}/${n} · ${step.ts ?? '-'} · ${step.type ?? '-'} ──`));
+        for (const l of lines) console.log(`${T.c.RST}${l}`);
+        if (panel) console.log(`_panel: ${JSON.stringify(panel, null, 2)}`);
+      }
+    }
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
 }
 
 // -- Main --
 async function main() {
+  if (process.argv.includes('--check-config')) return checkConfig();
+  if (process.argv[2] === '--hook') return runHook();
+  if (process.argv[2] === '--replay') return runReplay(process.argv.slice(3));
+  try { privateDir(CACHE_DIR); } catch { /* ok */ }   // session details (todos, hook messages, metrics) live here
+  if (process.argv[2] === '--tmux') return runTmux(process.argv.slice(3));
+  if (process.argv[2] === '--refresh-git') {
+    const dir = process.argv[3];
+    if (dir) try { await refreshGitStatus(dir); } finally { fs.rmSync(gitCachePath(dir) + '.lock', { force: true }); }
+    return;
+  }
   try {
     const stdin = await readStdin();
     if (!stdin) { console.log('[statusline] Initializing...'); return; }
 
     const cwd = stdin.cwd;
     const transcriptPath = stdin.transcript_path ?? '';
+    const { config, errors: configErrors } = loadHudConfig(cwd);
+    hud = config;
+    T = createTheme(hud.theme, hud.colorDepth);
 
     // PERF: transcript + git are cached; usage has 60s cache; configs are fast sync reads
+    const gitPending = getGitStatus(cwd);                 // async, stale-while-refresh; git runs while we parse
     const transcript = parseTranscript(transcriptPath);   // sync, incremental
-    const gitStatus = getGitStatusCached(cwd);            // sync, 3s cache
     const configs = countConfigs(cwd);                    // sync, fast
-    const usage = await getUsage();                       // async, 60s cache
+    const [gitStatus, usage] = await Promise.all([gitPending, getUsage()]);  // usage: async, 60s cache
+    if (usage) usage.forecast = getUsageForecast(usage);
 
     const dur = fmtDuration(transcript.sessionStart);
+    const cost = estimateCost(transcript.tokenUsage, hud.pricing);
+    const contextTrend = getContextTrend(stdin);
 
     // Render
-    const lines = [];
-    const id = renderIdentity(stdin, usage, dur); if (id) lines.push(id);
-    const pr = renderProject(stdin, gitStatus);   if (pr) lines.push(pr);
-    const en = renderEnv(configs);                if (en) lines.push(en);
-    const pm = renderPlanMode(transcript);        if (pm) lines.push(pm);
-    const tl = renderTools(transcript);           if (tl) lines.push(tl);
-    const ag = renderAgents(transcript);          if (ag) lines.push(ag);
-    const td = renderTodos(transcript);           if (td) lines.push(td);
+    const mcp = summarizeMcp(transcript.toolStats, transcript.errors, configs.mcpNames);
+    const plan = planProgress(transcript);
+    const data = { stdin, transcript, gitStatus, configs, mcp, usage, dur, cost, contextTrend, plan, configErrors, notifications: [], activity: null };
+    const lines = renderLines(data);
 
     if (!process.env.CLAUDE_STATUSLINE_QUIET) {
-      for (const l of lines) console.log(`${RST}${l}`);
+      for (const l of lines) console.log(`${T.c.RST}${l}`);
+    }
+
+    const sessionKey = stdin.session_id ?? transcriptPath;
+    if (sessionKey) {
+      try { data.notifications = notify(notifySnapshot(stdin, transcript, usage), hud.notifications, CACHE_DIR, sessionKey); } catch { /* ok */ }
+      const st = readActivityState(sessionKey);
+      data.activity = detectActivity(transcript, st.hook);
+      const prevState = st.state;
+      reflectActivity(data.activity.state, st);
+      if (st.state !== prevState) writeActivityState(sessionKey, st);
+      recordMetrics(metricsSample(stdin, sessionKey, transcript, usage, cost, data.activity), hud.metrics, path.join(CACHE_DIR, 'metrics'));
     }
 
-    // Save enriched state for tmux panel (async, non-blocking)
-    const panel = {
-      ...stdin,
-      _panel: {
-        tools: transcript.tools.map(t => ({ name: t.name, status: t.status, target: t.target })),
-        agents: transcript.agents.map(a => ({ type: a.type, model: a.model, description: a.description, status: a.status, startTime: a.startTime, endTime: a.endTime })),
-        todos: transcript.todos,
-        planMode: transcript.planMode,
-        sessionStart: transcript.sessionStart,
-        gitStatus, configs, usage, duration: dur,
-        contextPercent: getContextPercent(stdin),
-      },
-    };
-    fs.writeFile(STATE_FILE + '.tmp', JSON.stringify(panel), () => {
+    // Save enriched state for tmux panel (async, non-blocking) and stream it to subscribers
+    const state = panelState(data);
+    ensureStateDir();
+    fs.writeFile(STATE_FILE + '.tmp', JSON.stringify(state), { mode: FILE_MODE }, () => {
       try { fs.renameSync(STATE_FILE + '.tmp', STATE_FILE); } catch { /* ok */ }
     });
+    if (hud.socket.enabled) await publish(STATE_SOCKET, state, { stateFile: STATE_FILE, idleMinutes: hud.socket.idleMinutes });
   } catch (err) {
     console.log(`[statusline] ${err?.message ?? 'Error'}`);
   }
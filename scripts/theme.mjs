@@ -0,0 +1,139 @@
+// Shared color theme for statusline.mjs and session-picker.mjs
+// Semantic roles -> ANSI escapes, degraded to what the terminal supports (NO_COLOR, 16, 256, truecolor),
+// or -> tmux style strings (#[fg=colour208]) for the statusline's tmux status-line mode
+// Zero npm dependencies. Node.js 18+ required.
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import * as os from 'node:os';
+
+export const COLOR_DEPTHS = ['auto', 'none', '16', '256', 'truecolor'];
+
+// Role spec: { ansi: 16-color SGR, x256: 256-color index, hex: truecolor, bold }
+// Missing entries fall back to the next lower depth, so `default` follows the terminal's own palette.
+export const THEMES = {
+  default: {
+    ok:        { ansi: '32' },
+    warn:      { ansi: '33' },
+    critical:  { ansi: '31' },
+    accent:    { ansi: '36' },
+    focus:     { ansi: '96' },
+    secondary: { ansi: '35' },
+    highlight: { ansi: '95' },
+    info:      { ansi: '94' },
+    label:     { ansi: '33' },
+    text:      { ansi: '37' },
+    muted:     { ansi: '2' },
+  },
+  // Darker hues for light terminal backgrounds (dim text is unreadable there, so muted is gray)
+  light: {
+    ok:        { ansi: '32', x256: 28,  hex: '#1a7f37' },
+    warn:      { ansi: '33', x256: 130, hex: '#9a6700' },
+    critical:  { ansi: '31', x256: 124, hex: '#cf222e', bold: true },
+    accent:    { ansi: '34', x256: 25,  hex: '#0969da' },
+    focus:     { ansi: '34', x256: 26,  hex: '#0550ae', bold: true },
+    secondary: { ansi: '35', x256: 91,  hex: '#8250df' },
+    highlight: { ansi: '35', x256: 125, hex: '#bf3989' },
+    info:      { ansi: '34', x256: 24,  hex: '#0a3069' },
+    label:     { ansi: '33', x256: 94,  hex: '#953800' },
+    text:      { ansi: '30', x256: 235, hex: '#1f2328' },
+    muted:     { ansi: '90', x256: 244, hex: '#6e7781' },
+  },
+  // Okabe-Ito palette: ok/warn/critical stay distinguishable with red-green color blindness
+  colorblind: {
+    ok:        { ansi: '36', x256: 37,  hex: '#009e73' },
+    warn:      { ansi: '33', x256: 214, hex: '#e69f00' },
+    critical:  { ansi: '35', x256: 166, hex: '#d55e00', bold: true },
+    accent:    { ansi: '36', x256: 74,  hex: '#56b4e9' },
+    focus:     { ansi: '96', x256: 117, hex: '#56b4e9', bold: true },
+    secondary: { ansi: '35', x256: 175, hex: '#cc79a7' },
+    highlight: { ansi: '93', x256: 227, hex: '#f0e442' },
+    info:      { ansi: '34', x256: 32,  hex: '#0072b2' },
+    label:     { ansi: '93', x256: 222, hex: '#f0e442' },
+    text:      { ansi: '37' },
+    muted:     { ansi: '2' },
+  },
+  // No hues at all: emphasis through weight only
+  mono: {
+    critical:  { bold: true },
+    focus:     { bold: true },
+    highlight: { bold: true },
+    muted:     { ansi: '2' },
+  },
+};
+
+export const ROLES = Object.keys(THEMES.default);
+
+// https://no-color.org, FORCE_COLOR, COLORTERM and TERM, in that order
+export function detectColorDepth(env = process.env) {
+  if (env.NO_COLOR) return 'none';
+  const force = env.FORCE_COLOR;
+  if (force !== undefined && force !== '') return ({ 0: 'none', 1: '16', 2: '256', 3: 'truecolor' })[force] ?? '16';
+  const ct = (env.COLORTERM || '').toLowerCase();
+  if (ct === 'truecolor' || ct === '24bit') return 'truecolor';
+  const term = (env.TERM || '').toLowerCase();
+  if (term === 'dumb') return 'none';
+  if (term.includes('256') || term.includes('direct')) return '256';
+  return '16';
+}
+
+function sgr(spec, depth) {
+  if (!spec || depth === 'none') return '';
+  const codes = [];
+  if (spec.bold) codes.push('1');
+  if (depth === 'truecolor' && spec.hex) {
+    const n = parseInt(spec.hex.slice(1), 16);
+    codes.push(`38;2;${n >> 16};${(n >> 8) & 255};${n & 255}`);
+  } else if (depth !== '16' && spec.x256 != null) codes.push(`38;5;${spec.x256}`);
+  else if (spec.ansi) codes.push(spec.ansi);
+  return codes.length ? `\x1b[${codes.join(';')}m` : '';
+}
+
+// theme.c.<role> is the raw escape (plus c.RST / c.BOLD); theme.<role>(text) wraps text in it
+export function createTheme(name = 'default', colorDepth = 'auto') {
+  const depth = colorDepth === 'auto' || !COLOR_DEPTHS.includes(colorDepth) ? detectColorDepth() : colorDepth;
+  const spec = THEMES[name] ?? THEMES.default;
+  const off = depth === 'none';
+  const c = { RST: off ? '' : '\x1b[0m', BOLD: off ? '' : '\x1b[1m' };
+  const theme = { name: THEMES[name] ? name : 'default', depth, c };
+  for (const role of ROLES) {
+    c[role] = sgr(spec[role], depth);
+    theme[role] = t => c[role] ? `${c[role]}${t}${c.RST}` : String(t);
+  }
+  return theme;
+}
+
+const TMUX_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// tmux maps colours to the client terminal itself, so only 'none' and explicit depths need honoring
+function tmuxStyle(spec, depth) {
+  if (!spec || depth === 'none') return '';
+  const attrs = [];
+  if (depth === 'truecolor' && spec.hex) attrs.push(`fg=${spec.hex}`);
+  else if (depth !== '16' && spec.x256 != null) attrs.push(`fg=colour${spec.x256}`);
+  else if (spec.ansi === '2') attrs.push('dim');
+  else if (spec.ansi) attrs.push(`fg=${Number(spec.ansi) >= 90 ? 'bright' : ''}${TMUX_COLORS[Number(spec.ansi) % 10]}`);
+  if (spec.bold) attrs.push('bold');
+  return attrs.length ? `#[${attrs.join(',')}]` : '';
+}
+
+// Same shape as createTheme(), with tmux format styles instead of escapes (text is not escaped: double any '#')
+export function createTmuxTheme(name = 'default', colorDepth = 'auto') {
+  const depth = colorDepth === 'auto' || !COLOR_DEPTHS.includes(colorDepth) ? (process.env.NO_COLOR ? 'none' : '256') : colorDepth;
+  const spec = THEMES[name] ?? THEMES.default;
+  const off = depth === 'none';
+  const c = { RST: off ? '' : '#[default]', BOLD: off ? '' : '#[bold]' };
+  const theme = { name: THEMES[name] ? name : 'default', depth, c };
+  for (const role of ROLES) {
+    c[role] = tmuxStyle(spec[role], depth);
+    theme[role] = t => c[role] ? `${c[role]}${t}${c.RST}` : String(t);
+  }
+  return theme;
+}
+
+// Theme from ~/.claude/tmux-hud.json ({ "theme": "...", "colorDepth": "..." }) for tools without a full config loader
+export function userTheme() {
+  let cfg = {};
+  try { cfg = JSON.parse(fs.readFileSync(path.join(os.homedir(), '.claude', 'tmux-hud.json'), 'utf8')); } catch { /* defaults */ }
+  return createTheme(typeof cfg.theme === 'string' ? cfg.theme : 'default', typeof cfg.colorDepth === 'string' ? cfg.colorDepth : 'auto');
+}
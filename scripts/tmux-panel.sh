@@ -4,11 +4,9 @@
 set -euo pipefail
 
 PANEL_ID="${CLAUDE_PANEL_ID:-}"
-if [[ -n "$PANEL_ID" ]]; then
-  STATE_FILE="/tmp/claude-panel-${PANEL_ID}.json"
-else
-  STATE_FILE="/tmp/claude-panel-state.json"
-fi
+# The state file lives in the user's private runtime dir; state.mjs knows where
+SCRIPT_DIR="$(cd "$(dirname "$(readlink -f "$0" 2>/dev/null || echo "$0")")" && pwd)"
+STATE_FILE=$(node "$SCRIPT_DIR/state.mjs" path "$PANEL_ID")
 
 RST="\033[0m"; BOLD="\033[1m"; DIM="\033[2m"
 RED="\033[31m"; GRN="\033[38;5;208m"; YLW="\033[38;5;202m"
@@ -36,18 +34,24 @@ pbar() {
   printf "${RST}"
 }
 
-time_left() {
-  local iso="$1"
-  [[ -z "$iso" || "$iso" == "null" ]] && return
-  local reset_ts now_ts diff_s
+# Epoch seconds for a UTC ISO timestamp (2026-01-01T12:00:00.000Z); prints nothing when it can't be parsed
+iso_epoch() {
+  local iso="${1%%.*}"
+  iso="${iso%Z}"
+  [[ -z "$iso" || "$iso" == "null" ]] && return 1
   # Cross-platform date parsing (Linux: date -d, macOS: date -j)
   if date -d "2000-01-01" "+%s" &>/dev/null; then
     # GNU date (Linux)
-    reset_ts=$(TZ=UTC date -d "${iso%%.*}" "+%s" 2>/dev/null) || return
+    TZ=UTC date -d "$iso" "+%s" 2>/dev/null
   else
     # BSD date (macOS)
-    reset_ts=$(TZ=UTC date -j -f "%Y-%m-%dT%H:%M:%S" "${iso%%.*}" "+%s" 2>/dev/null) || return
+    TZ=UTC date -j -f "%Y-%m-%dT%H:%M:%S" "$iso" "+%s" 2>/dev/null
   fi
+}
+
+time_left() {
+  local reset_ts now_ts diff_s
+  reset_ts=$(iso_epoch "$1") || return 0
   now_ts=$(date "+%s")
   diff_s=$((reset_ts - now_ts))
   (( diff_s <= 0 )) && { printf "now"; return; }
@@ -61,6 +65,21 @@ time_left() {
   fi
 }
 
+fmt_min() {
+  local m=$1
+  if (( m < 60 )); then printf "%dm" "$m"
+  elif (( m < 1440 )); then printf "%dh %dm" $((m / 60)) $((m % 60))
+  else printf "%dd %dh" $((m / 1440)) $(((m % 1440) / 60)); fi
+}
+
+# Burn-rate forecast line for a quota window (fiveHour|sevenDay), only when the limit lands before reset
+forecast() {
+  local eta
+  eta=$(panel "usage.forecast.$1 | select(.beforeReset == true) | .minutesToLimit // empty")
+  [[ -n "$eta" && "$eta" != "null" ]] && P "   ${YLW}limit in ~$(fmt_min "$eta")${RST} ${DIM}at current pace${RST}"
+  return 0
+}
+
 trunc() { local s="$1" m="${2:-28}"; (( ${#s} > m )) && echo "${s:0:$((m-2))}.." || echo "$s"; }
 
 panel() { jq -r "._panel.$1" "$STATE_FILE" 2>/dev/null; }
@@ -117,6 +136,13 @@ render() {
   local model_str="${WHT}${model}${RST}"
   [[ -n "$plan" && "$plan" != "null" ]] && model_str+=" ${DIM}| ${plan}${RST}"
   P "${model_str}"
+  local activity
+  activity=$(panel 'activity.state // ""')
+  case "$activity" in
+    working)             P "${GRN}● working${RST}" ;;
+    awaiting_permission) P "${YLW}${BOLD}? waiting for you${RST} ${DIM}$(trunc "$(panel 'activity.detail // ""')" 20)${RST}" ;;
+    idle)                P "${DIM}○ idle${RST}" ;;
+  esac
   P "$(pbar "$pct" 22 "$color") ${color}${BOLD}${pct}%${RST}"
 
   local used total
@@ -124,7 +150,34 @@ render() {
   total=$(raw 'context_window.context_window_size // 200000')
   local used_k=$((used / 1000)) total_k=$((total / 1000))
   P "${DIM}${used_k}k / ${total_k}k tokens${RST}"
+  # Compactions: count, plus trigger, age and tokens before/after of the latest
+  local compacted
+  compacted=$(panel 'compactions | length')
+  if (( compacted > 0 )); then
+    local c_color="$DIM" c_last c_at c_age="" ts
+    (( compacted > 1 )) && c_color="$YLW"
+    c_last=$(jq -r '._panel.compactions[-1] | [.trigger // "", (if .preTokens then "\(.preTokens / 1000 | floor)k" else "" end) + (if .postTokens then " → \(.postTokens / 1000 | floor)k" else "" end)] | map(select(. != "")) | join(", ")' "$STATE_FILE" 2>/dev/null)
+    c_at=$(panel 'compactions[-1].at // ""')
+    ts=$(iso_epoch "$c_at" || true)
+    [[ -n "$ts" ]] && c_age=" $(fmt_min $(( ($(date +%s) - ts) / 60 ))) ago"
+    P "${c_color}Compacted ×${compacted}${RST}${DIM}${c_age}${c_last:+ (${c_last})}${RST}"
+  fi
+  local spark turns_left mins_left
+  # Sparkline: map each sample to U+2581..U+2588 (▁..█)
+  spark=$(jq -r '[._panel.contextTrend.samples[]? | ([7, (. * 8 / 100 | floor)] | min) + 9601] | implode' "$STATE_FILE" 2>/dev/null)
+  turns_left=$(panel 'contextTrend.turnsLeft // empty')
+  mins_left=$(panel 'contextTrend.minutesLeft // empty')
+  if [[ -n "$turns_left" ]]; then
+    local eta=""
+    [[ -n "$mins_left" ]] && { (( mins_left < 1 )) && eta=", <1m" || eta=", ~$(fmt_min "$mins_left")"; }
+    P "${DIM}${spark} ~${turns_left} turns${eta} to compact${RST}"
+  elif (( ${#spark} > 1 )); then
+    P "${DIM}${spark}${RST}"
+  fi
   [[ -n "$dur" && "$dur" != "" && "$dur" != "null" ]] && P "${DIM}Session: ${dur}${RST}"
+  local cost
+  cost=$(panel 'cost.total // 0')
+  [[ "$cost" != "0" && "$cost" != "null" ]] && P "${DIM}Cost: ~\$$(printf '%.2f' "$cost")${RST}"
 
   # -- Usage (always shown)
   H "Usage"
@@ -148,6 +201,7 @@ render() {
           [[ -n "$tl_5h" ]] && tl_5h=" ${DIM}(${tl_5h})${RST}"
         fi
         P "5h $(pbar "$five_h" 14 "$c") ${c}${five_h}%${RST}${tl_5h}"
+        forecast fiveHour
       fi
       if [[ -n "$seven_d" && "$seven_d" != "null" ]]; then
         local c="$GRN"; (( seven_d >= 85 )) && c="$RED"; (( seven_d >= 70 && seven_d < 85 )) && c="$YLW"
@@ -159,6 +213,7 @@ render() {
           [[ -n "$tl_7d" ]] && tl_7d=" ${DIM}(${tl_7d})${RST}"
         fi
         P "7d $(pbar "$seven_d" 14 "$c") ${c}${seven_d}%${RST}${tl_7d}"
+        forecast sevenDay
       fi
     fi
   fi
@@ -171,7 +226,7 @@ render() {
     P "${DIM}No active todos${RST}"
   else
     local completed
-    completed=$(panel '[todos[] | select(.status == "completed")] | length')
+    completed=$(panel 'todos | map(select(.status == "completed")) | length')
     P "${DIM}${completed}/${total_todos} done${RST}"
     panel 'todos[] | "\(.status)\t\(.subject // .content // "task")"' 2>/dev/null | head -"$LIM_TODO" | while IFS=$'\t' read -r status content; do
       local icon
@@ -189,9 +244,10 @@ render() {
   local plan_active
   plan_active=$(panel 'planMode.active // false')
   if [[ "$plan_active" == "true" ]]; then
-    local plan_slug plan_title=""
+    local plan_slug plan_title
+    plan_title=$(panel 'planMode.title // ""')
     plan_slug=$(panel 'planMode.slug // ""')
-    if [[ -n "$plan_slug" && "$plan_slug" != "null" ]]; then
+    if [[ -z "$plan_title" && -n "$plan_slug" && "$plan_slug" != "null" ]]; then
       local plan_file="$HOME/.claude/plans/${plan_slug}.md"
       if [[ -f "$plan_file" ]]; then
         plan_title=$(head -1 "$plan_file" | sed 's/^#\s*//')
@@ -209,6 +265,26 @@ render() {
     else
       P "${MAG}Planning...${RST}"
     fi
+    # Steps: progress count, then a window starting just before the current step
+    local steps_total
+    steps_total=$(panel 'planMode.steps // [] | length')
+    if (( steps_total > 0 )); then
+      local steps_done cur_step
+      steps_done=$(panel 'planMode.steps | map(select(.status == "completed")) | length')
+      cur_step=$(panel 'planMode.currentStep // 0')
+      [[ "$plan_phase" == "implementing" ]] && P "${DIM}${steps_done}/${steps_total} steps done${RST}" || P "${DIM}${steps_total} steps${RST}"
+      jq -r --argjson c "$cur_step" --argjson lim "$LIM_TODO" \
+        '._panel.planMode.steps | ([$c - 2, 0] | max) as $s | .[$s:$s + $lim][] | "\(.status)\t\(.n)\t\(.text)"' "$STATE_FILE" 2>/dev/null |
+        while IFS=$'\t' read -r status n text; do
+          local icon
+          case "$status" in
+            completed)   icon="${GRN}v${RST}" ;;
+            in_progress) icon="${YLW}>${RST}" ;;
+            *)           icon="${DIM}o${RST}" ;;
+          esac
+          (( n == cur_step )) && P "${icon} ${BOLD}${n}. $(trunc "$text" 24)${RST}" || P "${icon} ${n}. $(trunc "$text" 24)"
+        done
+    fi
   fi
 
   # -- Repository
@@ -221,7 +297,13 @@ render() {
     local cwd repo_name
     cwd=$(raw 'cwd // ""')
     repo_name="${cwd##*/}"
-    P "${WHT}${repo_name}${RST} ${GRN}${branch}${RST}"
+    local head_label="${GRN}${branch}${RST}" op wt
+    [[ "$(panel 'gitStatus.head.detached // false')" == "true" ]] && head_label="${YLW}detached${RST} ${GRN}${branch}${RST}"
+    op=$(jq -r '._panel.gitStatus.operation // empty | .name + (if .total then " \(.step)/\(.total)" else "" end)' "$STATE_FILE" 2>/dev/null)
+    [[ -n "$op" ]] && head_label+=" ${RED}${op^^}${RST}"
+    P "${WHT}${repo_name}${RST} ${head_label}"
+    wt=$(panel 'gitStatus.worktree.name // ""')
+    [[ -n "$wt" && "$wt" != "null" ]] && P "${DIM}worktree: ${wt}${RST}"
     local dirty
     dirty=$(panel 'gitStatus.isDirty // false')
     if [[ "$dirty" == "true" ]]; then
@@ -235,24 +317,60 @@ render() {
       (( d > 0 )) && changes+="${RED}x${d}${RST} "
       (( u > 0 )) && changes+="${DIM}?${u}${RST}"
       [[ -n "$changes" ]] && P "${changes}"
+      local lines
+      lines=$(jq -r '._panel.gitStatus.diff // empty | select(.added + .deleted > 0) | "\(.added)\t\(.deleted)\t\(.staged.added + .staged.deleted)"' "$STATE_FILE" 2>/dev/null)
+      if [[ -n "$lines" ]]; then
+        local la ld ls
+        IFS=$'\t' read -r la ld ls <<< "$lines"
+        P "${GRN}+${la}${RST} ${RED}-${ld}${RST}${DIM} lines$( (( ls > 0 )) && echo " (${ls} staged)")${RST}"
+      fi
     else
       P "${DIM}Clean${RST}"
     fi
+    local conflicts stash
+    conflicts=$(panel 'gitStatus.conflicts[]? // empty' 2>/dev/null)
+    if [[ -n "$conflicts" ]]; then
+      P "${RED}Conflicts: $(panel 'gitStatus.conflictCount // 0')${RST}"
+      echo "$conflicts" | head -3 | while IFS= read -r f; do P "  ${RED}!${RST} $(trunc "$f" 28)"; done
+    fi
+    stash=$(panel 'gitStatus.stashCount // 0')
+    (( stash > 0 )) && P "${DIM}Stash: ${stash}${RST}"
+    local last_subj last_time
+    last_subj=$(panel 'gitStatus.lastCommit.subject // ""')
+    last_time=$(panel 'gitStatus.lastCommit.time // ""')
+    if [[ -n "$last_subj" && "$last_subj" != "null" ]]; then
+      local age="" ts
+      ts=$(iso_epoch "$last_time" || true)
+      [[ -n "$ts" ]] && age=" ($(fmt_min $(( ($(date +%s) - ts) / 60 ))) ago)"
+      P "${DIM}Last: $(trunc "$last_subj" 24)${age}${RST}"
+    fi
   fi
 
   # -- MCP (hidden in minimal/ultra-compact mode)
   if (( LIM_MCP > 0 )); then
     H "MCP"
-    local names
-    names=$(panel 'configs.mcpNames[]? // empty' 2>/dev/null)
-    if [[ -n "$names" ]]; then
+    # Worst health first, unused servers last
+    local servers
+    servers=$(jq -r '._panel.mcp.servers // {} | to_entries
+      | sort_by({"failing":0,"degraded":1,"ok":2,"unused":3}[.value.health] // 2)
+      | .[] | "\(.value.health)\t\(.value.calls)\t\(.value.errors)\t\(.value.configured)\t\(.key)"' "$STATE_FILE" 2>/dev/null)
+    if [[ -n "$servers" ]]; then
       local mcp_count=0
-      while IFS= read -r name; do
+      while IFS=$'\t' read -r health calls errs configured name; do
         [[ -z "$name" ]] && continue
         (( mcp_count >= LIM_MCP )) && { P "${DIM}+more${RST}"; break; }
-        P "${GRN}*${RST} ${name}"
+        local icon="${GRN}*${RST}" info=""
+        case "$health" in
+          failing)  icon="${RED}x${RST}" ;;
+          degraded) icon="${YLW}!${RST}" ;;
+          unused)   icon="${DIM}-${RST}" ;;
+        esac
+        (( calls > 0 )) && info=" ${DIM}×${calls}${RST}"
+        (( errs > 0 )) && info+=" ${RED}${errs}err${RST}"
+        [[ "$configured" == "false" ]] && info+=" ${DIM}(no config)${RST}"
+        P "${icon} $(trunc "$name" 18)${info}"
         mcp_count=$((mcp_count + 1))
-      done <<< "$names"
+      done <<< "$servers"
     else
       P "${DIM}None${RST}"
     fi
@@ -294,16 +412,19 @@ render() {
   # -- Agents (hidden in minimal/ultra-compact mode)
   if (( LIM_AGENTS > 0 )); then
   local agent_data
-  agent_data=$(panel 'agents[] | "\(.status)\t\(.type)\t\(.description // "")"' 2>/dev/null)
+  # depth/current come first so an empty description can't shift fields (tab is IFS whitespace)
+  agent_data=$(panel 'agents[] | "\(.depth // 0)\t\(.status)\t\(.type)\t\(if .status == "running" then (.current.name // "-") else "-" end)\t\(.description // "")"' 2>/dev/null)
   if [[ -n "$agent_data" ]]; then
     H "Agents"
-    echo "$agent_data" | tail -"$LIM_AGENTS" | while IFS=$'\t' read -r status type desc; do
+    echo "$agent_data" | tail -"$LIM_AGENTS" | while IFS=$'\t' read -r depth status type cur desc; do
       [[ -z "$type" ]] && continue
       local icon="${GRN}v${RST}"
       [[ "$status" == "running" ]] && icon="${YLW}>${RST}"
-      local d=""
+      local d="" ind="" now=""
       [[ -n "$desc" && "$desc" != "null" ]] && d=" ${DIM}$(trunc "$desc" 20)${RST}"
-      P "${icon} ${MAG}${type}${RST}${d}"
+      (( depth > 0 )) && ind="$(printf '%*s' $(( (depth - 1) * 2 )) '')${DIM}└${RST} "
+      [[ "$cur" != "-" ]] && now=" ${DIM}→${RST} ${CYN}${cur}${RST}"
+      P "${ind}${icon} ${MAG}${type}${RST}${d}${now}"
     done
   fi
   fi
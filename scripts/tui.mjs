@@ -0,0 +1,110 @@
+// Terminal UI helpers shared by session-picker.mjs and status.mjs
+// CJK-aware display widths and truncation, relative times, full-screen drawing on stderr.
+// Zero npm dependencies. Node.js 18+ required.
+
+// ── Time Formatting (agf style: "2m · 02/17") ──────────────
+export function fmtTime(ms) {
+  const diff = Date.now() - ms;
+  const mins = Math.floor(diff / 60000);
+  let rel;
+  if (mins < 1) rel = 'now';
+  else if (mins < 60) rel = `${mins}m`;
+  else if (mins < 1440) rel = `${Math.floor(mins / 60)}h`;
+  else if (mins < 10080) rel = `${Math.floor(mins / 1440)}d`;
+  else if (mins < 43800) rel = `${Math.floor(mins / 10080)}w`;
+  else rel = `${Math.floor(mins / 43800)}mo`;
+
+  const d = new Date(ms);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return { rel, date: `${mm}/${dd}` };
+}
+
+// ── String Utilities (CJK-aware) ────────────────────────────
+export function stripAnsi(s) { return s.replace(/\x1b\[[0-9;]*m/g, ''); }
+
+// Character display width: CJK fullwidth = 2, others = 1, control = 0
+export function charW(cp) {
+  if (cp < 32 || (cp >= 0x7f && cp < 0xa0)) return 0;
+  // CJK ranges (East Asian Width: W/F)
+  if (
+    (cp >= 0x1100 && cp <= 0x115f) ||   // Hangul Jamo
+    (cp >= 0x2e80 && cp <= 0x303e) ||   // CJK Radicals, Kangxi, CJK Symbols
+    (cp >= 0x3040 && cp <= 0x33bf) ||   // Hiragana, Katakana, Bopomofo, CJK Compat
+    (cp >= 0x3400 && cp <= 0x4dbf) ||   // CJK Unified Ext A
+    (cp >= 0x4e00 && cp <= 0xa4cf) ||   // CJK Unified, Yi
+    (cp >= 0xa960 && cp <= 0xa97c) ||   // Hangul Jamo Extended-A
+    (cp >= 0xac00 && cp <= 0xd7a3) ||   // Hangul Syllables
+    (cp >= 0xd7b0 && cp <= 0xd7fb) ||   // Hangul Jamo Extended-B
+    (cp >= 0xf900 && cp <= 0xfaff) ||   // CJK Compat Ideographs
+    (cp >= 0xfe30 && cp <= 0xfe6f) ||   // CJK Compat Forms
+    (cp >= 0xff01 && cp <= 0xff60) ||   // Fullwidth Forms
+    (cp >= 0xffe0 && cp <= 0xffe6) ||   // Fullwidth Signs
+    (cp >= 0x20000 && cp <= 0x2fffd) || // CJK Unified Ext B-F
+    (cp >= 0x30000 && cp <= 0x3fffd)    // CJK Unified Ext G+
+  ) return 2;
+  return 1;
+}
+
+// Display width of a plain (no ANSI) string
+export function strW(s) {
+  let w = 0;
+  for (const ch of s) w += charW(ch.codePointAt(0));
+  return w;
+}
+
+// Display width of a string that may contain ANSI codes
+export function visLen(s) { return strW(stripAnsi(s)); }
+
+// Truncate plain string to fit within maxW display columns
+export function truncS(s, maxW) {
+  if (maxW <= 0) return '';
+  // Normalize: collapse newlines/tabs to space
+  const clean = s.replace(/[\r\n\t]+/g, ' ');
+  let w = 0;
+  let i = 0;
+  for (const ch of clean) {
+    const cw = charW(ch.codePointAt(0));
+    if (w + cw > maxW) break;
+    w += cw;
+    i += ch.length;
+  }
+  if (i >= clean.length) return clean;
+  // Need truncation — recalculate to leave room for ".."
+  if (maxW <= 2) return '.'.repeat(maxW);
+  let tw = 0, ti = 0;
+  for (const ch of clean) {
+    const cw = charW(ch.codePointAt(0));
+    if (tw + cw > maxW - 2) break;
+    tw += cw;
+    ti += ch.length;
+  }
+  return clean.slice(0, ti) + '..';
+}
+
+// Right-pad with spaces to fill exactly w display columns
+export function padR(s, w) {
+  const vl = visLen(s);
+  return vl < w ? s + ' '.repeat(w - vl) : s;
+}
+
+// ── Full Screen (alternate screen on stderr; stdout stays free for the result) ──
+export function openScreen() {
+  process.stderr.write('\x1b[?1049h\x1b[?25l');
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  process.stdin.setEncoding('utf8');
+}
+
+export function drawScreen(text) {
+  // Disable line wrap, clear, move to top-left; re-enable wrap afterwards
+  process.stderr.write('\x1b[?7l\x1b[2J\x1b[H');
+  process.stderr.write(text);
+  process.stderr.write('\x1b[?7h');
+}
+
+export function closeScreen() {
+  process.stderr.write('\x1b[?7h\x1b[?25h\x1b[?1049l');
+  process.stdin.setRawMode(false);
+  process.stdin.pause();
+}
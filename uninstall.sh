@@ -25,7 +25,7 @@ if (( active > 0 )); then
 fi
 
 # 2. Remove scripts (files only, preserve directory)
-for f in statusline.mjs tmux-panel.sh claude-tmux.sh session-picker.mjs; do
+for f in statusline.mjs config.mjs theme.mjs settings.mjs notify.mjs metrics.mjs state.mjs checkpoint.mjs tmux-panel.sh claude-tmux.sh session-picker.mjs status.mjs tui.mjs; do
   if [[ -f "$INSTALL_DIR/$f" ]]; then
     rm -f "$INSTALL_DIR/$f"
     ok "Removed $f"
@@ -38,8 +38,12 @@ if [[ -d "$HOME/.claude/.tmux-hud-cache" ]]; then
   ok "Removed cache directory"
 fi
 
-# Remove /tmp caches
-rm -f /tmp/claude-panel-*.json /tmp/claude-statusline-cache.json /tmp/claude-git-cache.json 2>/dev/null
+# Remove runtime state (STATE_DIR in state.mjs), and temp files left by older versions
+[[ -n "${XDG_RUNTIME_DIR:-}" ]] && rm -rf "$XDG_RUNTIME_DIR/claude-hud" 2>/dev/null
+rm -rf "${TMPDIR:-/tmp}/claude-hud-$(id -u)" 2>/dev/null
+rm -f /tmp/claude-panel-*.json /tmp/claude-panel-*.sock /tmp/claude-panel-*.sock.lock /tmp/claude-git-cache.json 2>/dev/null
+rm -rf /tmp/claude-git-cache 2>/dev/null
+rm -rf /tmp/claude-statusline-cache 2>/dev/null
 ok "Removed temp files"
 
 # 4. Remove statusLine from settings.json (preserve other keys)
@@ -50,6 +54,21 @@ if [[ -f "$SETTINGS" ]] && command -v jq &>/dev/null; then
     jq 'del(.statusLine)' "$SETTINGS" > "$SETTINGS.tmp" && mv "$SETTINGS.tmp" "$SETTINGS"
     ok "Removed statusLine from settings.json (backup: .pre-uninstall.bak)"
   fi
+
+  # unregister_hook <event> <script>: drop our entries, keep the user's own hooks
+  unregister_hook() {
+    local event="$1" script="$2"
+    jq -e --arg ev "$event" --arg script "$script" '[.hooks[$ev][]?.hooks[]? | select((.command // "") | contains($script))] | length > 0' "$SETTINGS" &>/dev/null || return 0
+    jq --arg ev "$event" --arg script "$script" '.hooks[$ev] = [.hooks[$ev][]
+          | .hooks = [.hooks[]? | select((.command // "") | contains($script) | not)]
+          | select(.hooks | length > 0)]
+        | if (.hooks[$ev] | length) == 0 then del(.hooks[$ev]) else . end
+        | if (.hooks | length) == 0 then del(.hooks) else . end' \
+      "$SETTINGS" > "$SETTINGS.tmp" && mv "$SETTINGS.tmp" "$SETTINGS"
+    ok "Removed $event hook ($script) from settings.json"
+  }
+  unregister_hook PreToolUse "checkpoint.mjs"
+  unregister_hook Notification "statusline.mjs --hook"
 fi
 rm -f "$SETTINGS.bak" 2>/dev/null
 